@@ -10,11 +10,21 @@
  * governing permissions and limitations under the License.
  */
 import { deleteSource } from '../routes/source.js';
+import { deleteApiKey } from '../routes/apikeys.js';
+import { deleteSession } from '../routes/sessions.js';
+import { deleteShareLink } from '../routes/shares.js';
+import { deleteTrash } from '../routes/trash.js';
+import { releaseLock } from '../routes/lock.js';
 
 export default async function deleteHandler({ req, env, daCtx }) {
   const { path } = daCtx;
 
   if (path.startsWith('/source')) return deleteSource({ req, env, daCtx });
+  if (path.startsWith('/apikeys')) return deleteApiKey({ env, daCtx });
+  if (path.startsWith('/sessions')) return deleteSession({ env, daCtx });
+  if (path.startsWith('/shares')) return deleteShareLink({ env, daCtx });
+  if (path.startsWith('/trash')) return deleteTrash({ env, daCtx });
+  if (path.startsWith('/lock')) return releaseLock({ req, env, daCtx });
 
   return undefined;
 }
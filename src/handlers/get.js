@@ -12,7 +12,16 @@
 import { getSource } from '../routes/source.js';
 import getList from '../routes/list.js';
 import { getConfig } from '../routes/config.js';
+import { getProperties } from '../routes/properties.js';
 import { getVersionSource, getVersionList } from '../routes/version.js';
+import { getApiKeys } from '../routes/apikeys.js';
+import { getSessionList } from '../routes/sessions.js';
+import getWhoami from '../routes/whoami.js';
+import getAudit from '../routes/audit.js';
+import { getShareList } from '../routes/shares.js';
+import { getFolder } from '../routes/folder.js';
+import { getTrash } from '../routes/trash.js';
+import { getLockState } from '../routes/lock.js';
 
 function get404() {
   return { body: '', status: 404 };
@@ -23,17 +32,26 @@ function getRobots() {
   return { body, status: 200 };
 }
 
-export default async function getHandler({ env, daCtx }) {
+export default async function getHandler({ req, env, daCtx }) {
   const { path } = daCtx;
 
   if (path.startsWith('/favicon.ico')) return get404();
   if (path.startsWith('/robots.txt')) return getRobots();
 
-  if (path.startsWith('/source')) return getSource({ env, daCtx });
-  if (path.startsWith('/list')) return getList({ env, daCtx });
+  if (path.startsWith('/source')) return getSource({ req, env, daCtx });
+  if (path.startsWith('/list')) return getList({ req, env, daCtx });
   if (path.startsWith('/config')) return getConfig({ env, daCtx });
+  if (path.startsWith('/properties')) return getProperties({ env, daCtx });
   if (path.startsWith('/versionlist')) return getVersionList({ env, daCtx });
   if (path.startsWith('/versionsource')) return getVersionSource({ env, daCtx });
+  if (path.startsWith('/apikeys')) return getApiKeys({ env, daCtx });
+  if (path.startsWith('/sessions')) return getSessionList({ env, daCtx });
+  if (path.startsWith('/whoami')) return getWhoami({ env, daCtx });
+  if (path.startsWith('/audit')) return getAudit({ req, env, daCtx });
+  if (path.startsWith('/shares')) return getShareList({ env, daCtx });
+  if (path.startsWith('/folder')) return getFolder({ env, daCtx });
+  if (path.startsWith('/trash')) return getTrash({ env, daCtx });
+  if (path.startsWith('/lock')) return getLockState({ env, daCtx });
 
   return undefined;
 }
@@ -23,19 +23,27 @@ function getRobots() {
   return { contentLength: body.length, status: 200 };
 }
 
-export default async function headHandler({ env, daCtx }) {
+export default async function headHandler({ req, env, daCtx }) {
   const { path } = daCtx;
 
   if (path.startsWith('/favicon.ico')) return get404();
   if (path.startsWith('/robots.txt')) return getRobots();
 
-  if (path.startsWith('/source')) return getSource({ env, daCtx, head: true });
+  if (path.startsWith('/source')) {
+    return getSource({
+      req, env, daCtx, head: true,
+    });
+  }
   if (path.startsWith('/list')) {
-    const { body, contentType, status } = await getList({ env, daCtx });
+    const {
+      body, contentType, status, etag, cacheControl,
+    } = await getList({ req, env, daCtx });
     return {
-      contentLength: body.length,
+      contentLength: body?.length,
       contentType,
       status,
+      etag,
+      cacheControl,
     };
   }
   if (path.startsWith('/versionlist')) {
@@ -48,7 +56,7 @@ export default async function headHandler({ env, daCtx }) {
   }
   if (path.startsWith('/versionsource')) return getVersionSource({ env, daCtx, head: true });
   if (path.startsWith('/properties')) {
-    const { body, status, contentType } = getProperties();
+    const { body, status, contentType } = await getProperties({ env, daCtx });
     return { status, contentType, contentLength: body.length };
   }
 
@@ -11,18 +11,35 @@
  */
 import { postSource } from '../routes/source.js';
 import { postConfig } from '../routes/config.js';
+import { putProperties } from '../routes/properties.js';
 import { postVersionSource } from '../routes/version.js';
 import copyHandler from '../routes/copy.js';
 import moveRoute from '../routes/move.js';
+import { postApiKey } from '../routes/apikeys.js';
+import { logout } from '../routes/sessions.js';
+import { postShare } from '../routes/shares.js';
+import { postUpload, postUploadFinalize } from '../routes/upload.js';
+import { postFolder } from '../routes/folder.js';
+import { postTrash } from '../routes/trash.js';
+import { postLock } from '../routes/lock.js';
 
 export default async function postHandler({ req, env, daCtx }) {
   const { path } = daCtx;
 
   if (path.startsWith('/source')) return postSource({ req, env, daCtx });
   if (path.startsWith('/config')) return postConfig({ req, env, daCtx });
+  if (path.startsWith('/properties')) return putProperties({ req, env, daCtx });
   if (path.startsWith('/versionsource')) return postVersionSource({ req, env, daCtx });
   if (path.startsWith('/copy')) return copyHandler({ req, env, daCtx });
   if (path.startsWith('/move')) return moveRoute({ req, env, daCtx });
+  if (path.startsWith('/apikeys')) return postApiKey({ req, env, daCtx });
+  if (path.startsWith('/logout')) return logout({ req, env, daCtx });
+  if (path.startsWith('/shares')) return postShare({ req, env, daCtx });
+  if (path.startsWith('/uploadfinalize')) return postUploadFinalize({ req, env, daCtx });
+  if (path.startsWith('/upload')) return postUpload({ req, env, daCtx });
+  if (path.startsWith('/folder')) return postFolder({ env, daCtx });
+  if (path.startsWith('/trash')) return postTrash({ env, daCtx });
+  if (path.startsWith('/lock')) return postLock({ req, env, daCtx });
 
   return undefined;
 }
@@ -0,0 +1,56 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+const KEY_OPERATIONS = ['read', 'write', 'delete'];
+
+function splitList(value) {
+  return (value || '').split(',').map((entry) => entry.trim().toLowerCase()).filter((entry) => entry);
+}
+
+function sanitizePath(path) {
+  const sanitized = path.startsWith('/') ? path : `/${path}`;
+  return sanitized.length > 1 && sanitized.endsWith('/') ? sanitized.slice(0, -1) : sanitized;
+}
+
+export default async function apiKeyHelper(req) {
+  let formData;
+  try {
+    formData = await req.formData();
+  } catch {
+    // Validated below
+  }
+  if (!formData) return getError('No form data.');
+
+  const name = formData.get('name');
+  if (!name) return getError('No name provided.');
+
+  const paths = splitList(formData.get('paths')).map(sanitizePath);
+  if (!paths.length) paths.push('/');
+
+  const operations = splitList(formData.get('operations'));
+  if (!operations.length) operations.push('read');
+  if (operations.some((operation) => !KEY_OPERATIONS.includes(operation))) {
+    return getError(`Operations must be one of: ${KEY_OPERATIONS.join(', ')}.`);
+  }
+
+  let expires = formData.get('expires');
+  if (expires) {
+    const time = Date.parse(expires);
+    if (Number.isNaN(time) || time <= Date.now()) return getError('Expires must be a date in the future.');
+    expires = new Date(time).toISOString();
+  }
+
+  return {
+    name, paths, operations, expires: expires || null,
+  };
+}
@@ -0,0 +1,53 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE = 31 * DAY;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// The key of the last record read, e.g. .da-audit/2024/03/21/1711022400000-{uuid}.json
+const CONTINUATION_TOKEN = /^\.da-audit\/\d{4}\/\d{2}\/\d{2}\/\d+-[\w-]+\.json$/;
+
+// Accepts epoch milliseconds as well as dates
+function parseTime(value) {
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+export default function auditHelper(req) {
+  const params = new URL(req.url).searchParams;
+
+  const to = parseTime(params.get('to')) ?? Date.now();
+  const from = parseTime(params.get('from')) ?? to - DAY;
+  if (Number.isNaN(from) || Number.isNaN(to)) return getError('From and to must be dates.');
+  if (from > to) return getError('From must be before to.');
+  if (to - from > MAX_RANGE) return getError('The range cannot be longer than 31 days.');
+
+  const limit = Math.min(Number(params.get('limit')) || DEFAULT_LIMIT, MAX_LIMIT);
+  const user = params.get('user')?.toLowerCase();
+
+  let path = params.get('path')?.toLowerCase();
+  if (path) {
+    if (!path.startsWith('/')) path = `/${path}`;
+    if (path.length > 1 && path.endsWith('/')) path = path.slice(0, -1);
+  }
+
+  const continuationToken = params.get('continuation-token') || undefined;
+  if (continuationToken && !CONTINUATION_TOKEN.test(continuationToken)) {
+    return getError('Invalid continuation token.');
+  }
+
+  return {
+    from, to, limit, user, path, continuationToken,
+  };
+}
@@ -9,6 +9,13 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { HIDDEN_PREFIXES } from '../utils/constants.js';
+
+const HIDDEN_DEST_ERROR = {
+  body: JSON.stringify({ error: 'Destination is reserved.' }),
+  status: 400,
+};
+
 export default async function copyHelper(req, daCtx) {
   const formData = await req.formData();
   if (!formData) return {};
@@ -17,6 +24,10 @@ export default async function copyHelper(req, daCtx) {
   const lower = fullDest.slice(1).toLowerCase();
   const sanitized = lower.endsWith('/') ? lower.slice(0, -1) : lower;
   const destination = sanitized.split('/').slice(1).join('/');
+  // Audit records, versions, uploads and trash can't be written through a copy
+  if (HIDDEN_PREFIXES.some((prefix) => destination.startsWith(prefix))) {
+    return { error: HIDDEN_DEST_ERROR };
+  }
   const source = daCtx.key;
   return { source, destination, continuationToken };
 }
@@ -0,0 +1,33 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+// Locks are meant for an editing session, an abandoned one must not block others for long
+const DEFAULT_TTL = 10 * 60;
+const MIN_TTL = 60;
+const MAX_TTL = 24 * 60 * 60;
+
+export default async function lockHelper(req) {
+  let formData;
+  try {
+    formData = await req.formData();
+  } catch {
+    // No form data, use the defaults
+  }
+
+  const ttl = formData?.get('ttl');
+  const seconds = ttl ? Number(ttl) : DEFAULT_TTL;
+  if (!Number.isInteger(seconds) || seconds < MIN_TTL || seconds > MAX_TTL) {
+    return getError(`TTL must be between ${MIN_TTL} and ${MAX_TTL} seconds.`);
+  }
+  return { expires: new Date(Date.now() + seconds * 1000).toISOString() };
+}
@@ -9,6 +9,7 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { HIDDEN_PREFIXES } from '../utils/constants.js';
 
 const NO_DEST_ERROR = {
   body: JSON.stringify({ error: 'No destination provided.' }),
@@ -20,6 +21,11 @@ const NO_PARENT_ERROR = {
   status: 400,
 };
 
+const HIDDEN_DEST_ERROR = {
+  body: JSON.stringify({ error: 'Destination is reserved.' }),
+  status: 400,
+};
+
 export default async function moveHelper(req, daCtx) {
   try {
     const formData = await req.formData();
@@ -36,6 +42,11 @@ export default async function moveHelper(req, daCtx) {
       return { error: NO_PARENT_ERROR };
     }
 
+    // Audit records, versions, uploads and trash can't be written through a move
+    if (HIDDEN_PREFIXES.some((prefix) => destination.startsWith(prefix))) {
+      return { error: HIDDEN_DEST_ERROR };
+    }
+
     // Timestamp if the names are the same
     if (destination === source) {
       destination = `${source}-${Date.now()}`;
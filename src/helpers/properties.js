@@ -0,0 +1,75 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+export const MAX_PROPERTIES = 100;
+export const MAX_SIZE = 8192;
+
+const NAME = /^[a-z0-9][a-z0-9._:-]{0,63}$/i;
+const MAX_VALUE_LENGTH = 1024;
+
+// Properties are sent as JSON, or like a config as a form field
+async function readBody(req) {
+  const contentType = req.headers.get('content-type')?.split(';')[0];
+  if (contentType === 'multipart/form-data' || contentType === 'application/x-www-form-urlencoded') {
+    const formData = await req.formData();
+    return JSON.parse(formData.get('properties'));
+  }
+  return req.json();
+}
+
+function isValue(value) {
+  if (typeof value === 'string') return value.length <= MAX_VALUE_LENGTH;
+  return typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * Parses the properties of a PUT or PATCH request.
+ * Values are strings, numbers or booleans, a patch removes properties set to null.
+ * @param {Request} req the request
+ * @param {Boolean} patch whether the properties are a patch
+ * @returns {Promise<Object>} the properties, or an error
+ */
+export default async function propertiesHelper(req, patch = false) {
+  let props;
+  try {
+    props = await readBody(req);
+  } catch {
+    return getError('Properties must be a JSON object.');
+  }
+  if (!props || typeof props !== 'object' || Array.isArray(props)) {
+    return getError('Properties must be a JSON object.');
+  }
+
+  for (const [name, value] of Object.entries(props)) {
+    if (!NAME.test(name)) return getError(`Invalid property name: ${name}.`);
+    if (!isValue(value) && !(patch && value === null)) {
+      return getError(`Property ${name} must be a string of at most ${MAX_VALUE_LENGTH} characters, a number or a boolean.`);
+    }
+  }
+  return { props };
+}
+
+/**
+ * Check the properties of a document stay within the limits.
+ * @param {Object} props the properties
+ * @returns {Object} an error, undefined if within the limits
+ */
+export function checkLimits(props) {
+  if (Object.keys(props).length > MAX_PROPERTIES) {
+    return getError(`A document can have at most ${MAX_PROPERTIES} properties.`, 413);
+  }
+  if (new Blob([JSON.stringify(props)]).size > MAX_SIZE) {
+    return getError(`Properties can be at most ${MAX_SIZE} bytes.`, 413);
+  }
+  return undefined;
+}
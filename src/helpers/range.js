@@ -0,0 +1,35 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// One range of bytes: first-last, first- or -suffix
+const BYTE_RANGE = /^bytes=(\d+-\d*|-\d+)$/;
+
+/**
+ * Get the byte range of a request to pass on to S3.
+ * Ranges that can not be parsed are ignored, so the whole object is served.
+ * @param {Request} req the request
+ * @returns {Object} the range, or an error for multiple ranges
+ */
+export default function rangeHelper(req) {
+  const header = req?.headers?.get('range')?.replace(/\s/g, '');
+  if (!header) return {};
+
+  if (header.startsWith('bytes=') && header.includes(',')) {
+    const body = JSON.stringify({ error: 'Multiple ranges are not supported.' });
+    return { error: { body, status: 416 } };
+  }
+  if (!BYTE_RANGE.test(header)) return {};
+
+  const [first, last] = header.substring('bytes='.length).split('-');
+  if (first && last && Number(first) > Number(last)) return {};
+  return { range: header };
+}
@@ -9,11 +9,22 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+const NO_NAME_ERROR = {
+  body: JSON.stringify({ error: 'No valid newname provided.' }),
+  status: 400,
+};
+
 export default async function renameHelper(req, daCtx) {
-  const formData = await req.formData();
-  if (!formData) return {};
-  const newname = formData.get('newname');
-  const source = daCtx.key;
-  const destination = `${source.substring(0, source.lastIndexOf('/') + 1)}${newname}`;
-  return { source, destination };
+  try {
+    const formData = await req.formData();
+    if (!formData) return {};
+    // Only the last part of the path changes, so a name can't contain a slash
+    const newname = formData.get('newname')?.trim().toLowerCase();
+    if (!newname || newname.includes('/') || newname.startsWith('.')) return { error: NO_NAME_ERROR };
+    const source = daCtx.key;
+    const destination = `${source.substring(0, source.lastIndexOf('/') + 1)}${newname}`;
+    return { source, destination };
+  } catch {
+    return { error: NO_NAME_ERROR };
+  }
 }
@@ -0,0 +1,40 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Links are meant for a review, not as a permanent way around permissions
+const DEFAULT_TTL = 7 * DAY;
+const MAX_TTL = 30 * DAY;
+
+export default async function shareHelper(req) {
+  let formData;
+  try {
+    formData = await req.formData();
+  } catch {
+    // No form data, use the defaults
+  }
+
+  const now = Date.now();
+  const expires = formData?.get('expires');
+  const time = expires ? Date.parse(expires) : now + DEFAULT_TTL;
+  if (Number.isNaN(time) || time <= now) return getError('Expires must be a date in the future.');
+  if (time > now + MAX_TTL) return getError('Expires must be within 30 days.');
+
+  const uses = formData?.get('uses');
+  if (uses && !(Number.isInteger(Number(uses)) && Number(uses) > 0)) {
+    return getError('Uses must be a positive number.');
+  }
+
+  return { expires: new Date(time).toISOString(), uses: uses ? Number(uses) : null };
+}
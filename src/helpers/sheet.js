@@ -0,0 +1,58 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+const FILTER_PREFIX = 'filter.';
+const CONTAINS_PREFIX = 'contains.';
+
+function parseCount(value) {
+  if (value === null) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Get the query of a request reading a sheet.
+ * filter.{column} keeps the rows with that value, contains.{column} the rows containing it.
+ * @param {Request} req the request
+ * @returns {Object} the query, empty when the request has none, or an error
+ */
+export default function sheetQueryHelper(req) {
+  const params = req?.url ? new URL(req.url).searchParams : new URLSearchParams();
+
+  const filters = [];
+  params.forEach((value, name) => {
+    if (name.startsWith(FILTER_PREFIX)) {
+      filters.push({ column: name.substring(FILTER_PREFIX.length), value });
+    } else if (name.startsWith(CONTAINS_PREFIX)) {
+      filters.push({ column: name.substring(CONTAINS_PREFIX.length), value, contains: true });
+    }
+  });
+
+  const sheets = params.getAll('sheet').filter((sheet) => sheet);
+  const offset = parseCount(params.get('offset'));
+  const limit = parseCount(params.get('limit'));
+  const columns = params.get('columns')?.split(',')
+    .map((column) => column.trim())
+    .filter((column) => column);
+
+  const paged = offset !== undefined || limit !== undefined;
+  if (!sheets.length && !paged && !columns && !filters.length) return {};
+  if (Number.isNaN(offset) || Number.isNaN(limit)) {
+    return getError('Offset and limit must be whole numbers of at least 0.');
+  }
+
+  return {
+    query: {
+      sheets, offset, limit, columns, filters,
+    },
+  };
+}
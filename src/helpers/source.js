@@ -10,6 +10,7 @@
  * governing permissions and limitations under the License.
  */
 import { FORM_TYPES } from '../utils/constants.js';
+import { getMetaEntries } from '../utils/meta.js';
 
 /**
  * Builds a source response
@@ -44,6 +45,9 @@ function getFormEntries(formData) {
     entries.data = formData.get('data');
   }
 
+  const meta = getMetaEntries(formData);
+  if (Object.keys(meta).length) entries.meta = meta;
+
   return entries;
 }
 
@@ -58,12 +62,26 @@ async function formPutHandler(req) {
   return formData ? getFormEntries(formData) : null;
 }
 
+// A raw body is stored as is, like a file sent as form data, putObject checks its type
+async function rawPutHandler(req, daCtx, contentType) {
+  const body = await req.blob();
+  return { data: new File([body], daCtx.filename || 'data', { type: contentType }) };
+}
+
+async function getEntries(req, env, daCtx, contentType) {
+  if (FORM_TYPES.some((type) => type === contentType)) return formPutHandler(req, env, daCtx);
+  return rawPutHandler(req, daCtx, contentType);
+}
+
 export default async function putHelper(req, env, daCtx) {
-  const contentType = req.headers.get('content-type')?.split(';')[0];
+  const contentType = req.headers.get('content-type')?.split(';')[0].trim().toLowerCase();
 
   if (!contentType) return null;
 
-  if (FORM_TYPES.some((type) => type === contentType)) return formPutHandler(req, env, daCtx);
+  const entries = await getEntries(req, env, daCtx, contentType);
 
-  return undefined;
+  // Metadata can also be sent as headers, form fields win
+  const meta = { ...getMetaEntries(req.headers), ...entries?.meta };
+  if (entries && Object.keys(meta).length) entries.meta = meta;
+  return entries;
 }
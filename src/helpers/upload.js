@@ -0,0 +1,72 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getError } from '../utils/error.js';
+
+// The limit of S3 on the parts of a multipart upload
+const MAX_PARTS = 10000;
+
+async function getFormData(req) {
+  try {
+    return await req.formData();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parses the request to start an upload.
+ * @param {Request} req the request
+ * @returns {Promise<Object>} the type and number of parts, or an error
+ */
+export async function startUploadHelper(req) {
+  const formData = await getFormData(req);
+  if (!formData) return getError('No form data.');
+
+  const type = formData.get('type');
+  if (!type) return getError('No type provided.');
+
+  const parts = formData.get('parts') ? Number(formData.get('parts')) : undefined;
+  if (parts !== undefined && !(Number.isInteger(parts) && parts > 0 && parts <= MAX_PARTS)) {
+    return getError(`Parts must be a number from 1 to ${MAX_PARTS}.`);
+  }
+
+  return { type, parts };
+}
+
+/**
+ * Parses the request to finalize an upload.
+ * @param {Request} req the request
+ * @returns {Promise<Object>} the id, and the upload id and parts of a multipart upload
+ */
+export async function finalizeUploadHelper(req) {
+  const formData = await getFormData(req);
+  if (!formData) return getError('No form data.');
+
+  const id = formData.get('id');
+  if (!/^[0-9a-f-]{36}$/.test(id || '')) return getError('No valid id provided.');
+
+  const uploadId = formData.get('uploadId');
+  if (!uploadId) return { id };
+
+  let parts;
+  try {
+    parts = JSON.parse(formData.get('parts')).map(({ partNumber, etag }) => {
+      if (!Number.isInteger(partNumber) || !etag) throw new Error('Invalid part');
+      return { PartNumber: partNumber, ETag: etag };
+    });
+  } catch {
+    return getError('Parts must be a list of part numbers and ETags.');
+  }
+  if (!parts.length) return getError('Parts must be a list of part numbers and ETags.');
+
+  return { id, uploadId, parts };
+}
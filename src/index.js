@@ -11,29 +11,45 @@
  */
 import getDaCtx from './utils/daCtx.js';
 import daResp from './utils/daResp.js';
+import { getCorsHeaders } from './utils/cors.js';
+import { checkRateLimit } from './utils/ratelimit.js';
+import { getForbidden } from './utils/auth.js';
+import { HIDDEN_PREFIXES } from './utils/constants.js';
+import putAuditRecord from './storage/audit/put.js';
 
 import headHandler from './handlers/head.js';
 import getHandler from './handlers/get.js';
 import postHandler from './handlers/post.js';
 import deleteHandler from './handlers/delete.js';
+import patchHandler from './handlers/patch.js';
 import unknownHandler from './handlers/unknown.js';
 
+const AUDITED_METHODS = ['PUT', 'POST', 'PATCH', 'DELETE'];
+
 export default {
   async fetch(req, env) {
-    if (req.method === 'OPTIONS') return daResp({ status: 204 });
+    const cors = await getCorsHeaders(req, env);
+    if (req.method === 'OPTIONS') return daResp({ status: 204 }, cors);
 
     const daCtx = await getDaCtx(req, env);
-    const { authorized, key } = daCtx;
-    if (!authorized) return daResp({ status: 401 });
-    if (key?.startsWith('.da-versions')) return daResp({ status: 404 });
+    const { authorized, forbidden, key } = daCtx;
+    if (!authorized) {
+      return daResp(forbidden ? getForbidden(daCtx.operation) : { status: 401 }, cors);
+    }
+    if (HIDDEN_PREFIXES.some((prefix) => key?.startsWith(prefix))) {
+      return daResp({ status: 404 }, cors);
+    }
+
+    const limited = await checkRateLimit(req, env, daCtx);
+    if (limited) return daResp(limited, cors);
 
     let respObj;
     switch (req.method) {
       case 'HEAD':
-        respObj = await headHandler({ env, daCtx });
+        respObj = await headHandler({ req, env, daCtx });
         break;
       case 'GET':
-        respObj = await getHandler({ env, daCtx });
+        respObj = await getHandler({ req, env, daCtx });
         break;
       case 'PUT':
         respObj = await postHandler({ req, env, daCtx });
@@ -41,6 +57,9 @@ export default {
       case 'POST':
         respObj = await postHandler({ req, env, daCtx });
         break;
+      case 'PATCH':
+        respObj = await patchHandler({ req, env, daCtx });
+        break;
       case 'DELETE':
         respObj = await deleteHandler({ req, env, daCtx });
         break;
@@ -48,6 +67,10 @@ export default {
         respObj = unknownHandler();
     }
 
-    return daResp(respObj);
+    if (respObj && daCtx.org && AUDITED_METHODS.includes(req.method)) {
+      await putAuditRecord(env, daCtx, req, respObj);
+    }
+
+    return daResp(respObj, cors);
   },
 };
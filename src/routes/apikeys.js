@@ -0,0 +1,40 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { createApiKey, listApiKeys, revokeApiKey } from '../storage/kv/apikeys.js';
+import apiKeyHelper from '../helpers/apikey.js';
+import { getForbidden, isAuthorized, isOrgAdmin } from '../utils/auth.js';
+
+export function getApiKeys({ env, daCtx }) {
+  return listApiKeys(env, daCtx);
+}
+
+export async function postApiKey({ req, env, daCtx }) {
+  const details = await apiKeyHelper(req);
+  if (details.error) return details.error;
+
+  // Keys outlive sessions, so only the admins named in the org config may create them
+  const emails = daCtx.users.map(({ email }) => email);
+  if (!await isOrgAdmin(env, daCtx.org, emails)) return getForbidden('admin');
+
+  // A key can't reach any further than its creators can administer
+  const checks = daCtx.users.flatMap((user) => details.paths.map(
+    (path) => isAuthorized(env, daCtx.org, user, path, 'admin'),
+  ));
+  if (!(await Promise.all(checks)).every((authed) => authed)) return getForbidden('admin');
+
+  return createApiKey(env, daCtx, details);
+}
+
+export function deleteApiKey({ env, daCtx }) {
+  if (!daCtx.key) return { body: JSON.stringify({ error: 'No key id provided.' }), status: 400 };
+  return revokeApiKey(env, daCtx, daCtx.key);
+}
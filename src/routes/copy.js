@@ -11,8 +11,18 @@
  */
 import copyObject from '../storage/object/copy.js';
 import copyHelper from '../helpers/copy.js';
+import { getForbidden, isKeyAuthorized } from '../utils/auth.js';
+import { checkLock } from '../utils/lock.js';
 
 export default async function copyHandler({ req, env, daCtx }) {
   const details = await copyHelper(req, daCtx);
-  return copyObject(env, daCtx, details, false);
+  if (details.error) return details.error;
+  // The source key was checked with the context, the destination needs its own check
+  if (!await isKeyAuthorized(env, daCtx, details.destination, 'write')) return getForbidden('write');
+  // A copy overwrites the documents at the destination
+  const locked = await checkLock(env, daCtx, details.destination, !daCtx.isFile);
+  if (locked) return locked;
+  const resp = await copyObject(env, daCtx, details, false);
+  // Expose the destination to the audit log
+  return { ...resp, destination: details.destination };
 }
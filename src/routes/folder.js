@@ -0,0 +1,63 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { createFolder, getFolderInfo } from '../storage/object/folder.js';
+import moveObject from '../storage/object/move.js';
+import renameHelper from '../helpers/rename.js';
+import { sourceRespObject } from '../helpers/source.js';
+import { getForbidden, isKeyAuthorized } from '../utils/auth.js';
+import { checkLock } from '../utils/lock.js';
+import { getErrorResp } from '../utils/error.js';
+
+// Folders live below the org and have no extension
+function checkFolder(daCtx) {
+  if (!daCtx.key) return getErrorResp('No path provided.', 400);
+  if (daCtx.isFile) return getErrorResp('A folder cannot have an extension.', 400);
+  return undefined;
+}
+
+export async function getFolder({ env, daCtx }) {
+  const error = checkFolder(daCtx);
+  if (error) return error;
+  const { info, status } = await getFolderInfo(env, daCtx);
+  if (!info) return { body: '', status };
+  return { body: JSON.stringify(info), status, contentType: 'application/json' };
+}
+
+export async function postFolder({ env, daCtx }) {
+  const error = checkFolder(daCtx);
+  if (error) return error;
+  const status = await createFolder(env, daCtx);
+  if (status !== 201 && status !== 200) return { body: '', status };
+  return { body: JSON.stringify(sourceRespObject(daCtx)), status, contentType: 'application/json' };
+}
+
+export async function renameFolder({ req, env, daCtx }) {
+  const error = checkFolder(daCtx);
+  if (error) return error;
+  const details = await renameHelper(req, daCtx);
+  if (details.error) return details.error;
+
+  // The folder was checked with the context, the destination needs its own check
+  if (!await isKeyAuthorized(env, daCtx, details.destination, 'write')) return getForbidden('write');
+  const locked = await checkLock(env, daCtx, details.source, true);
+  if (locked) return locked;
+
+  const { status } = await getFolderInfo(env, daCtx);
+  if (status !== 200) return { body: '', status };
+  const destCtx = { ...daCtx, key: details.destination, propsKey: `${details.destination}.props` };
+  const existing = await getFolderInfo(env, destCtx);
+  if (existing.status !== 404) return getErrorResp('The destination already exists.', 409);
+
+  const resp = await moveObject(env, daCtx, details);
+  // Expose the destination to the audit log
+  return { ...resp, destination: details.destination };
+}
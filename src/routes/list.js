@@ -11,8 +11,9 @@
  */
 import listBuckets from '../storage/bucket/list.js';
 import listObjects from '../storage/object/list.js';
+import { getConditions } from '../utils/etag.js';
 
-export default function getList({ env, daCtx }) {
+export default function getList({ req, env, daCtx }) {
   if (!daCtx.org) return listBuckets(env, daCtx);
-  return listObjects(env, daCtx);
+  return listObjects(env, daCtx, getConditions(req));
 }
@@ -0,0 +1,69 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { deleteLock, getLock, putLock } from '../storage/kv/locks.js';
+import lockHelper from '../helpers/lock.js';
+import { getForbidden, isKeyAuthorized } from '../utils/auth.js';
+import { getLocked, getLockOwner, isLockHolder } from '../utils/lock.js';
+import { getErrorResp } from '../utils/error.js';
+
+function getLockResp(lock, status) {
+  return { body: JSON.stringify(lock), status, contentType: 'application/json' };
+}
+
+export async function getLockState({ env, daCtx }) {
+  if (!daCtx.isFile) return getErrorResp('Only documents can be locked.', 400);
+  const lock = await getLock(env, daCtx.org, daCtx.key);
+  if (!lock) return getErrorResp('not found', 404);
+  return getLockResp(lock, 200);
+}
+
+/**
+ * Acquires the lock of a document, or renews it for its holder.
+ */
+export async function postLock({ req, env, daCtx }) {
+  if (!daCtx.isFile) return getErrorResp('Only documents can be locked.', 400);
+  const owner = getLockOwner(daCtx);
+  if (!owner) return getErrorResp('Locks need an authenticated user.', 401);
+
+  const details = await lockHelper(req);
+  if (details.error) return details.error;
+
+  const current = await getLock(env, daCtx.org, daCtx.key);
+  if (current && !isLockHolder(daCtx, current)) return getLocked(current);
+
+  const lock = {
+    org: daCtx.org,
+    key: daCtx.key,
+    owner: current?.owner || owner,
+    acquired: current?.acquired || new Date().toISOString(),
+    expires: details.expires,
+  };
+  await putLock(env, lock);
+  return getLockResp(lock, current ? 200 : 201);
+}
+
+/**
+ * Releases the lock of a document. Admins can break the lock of someone else with ?force=true.
+ */
+export async function releaseLock({ req, env, daCtx }) {
+  if (!daCtx.isFile) return getErrorResp('Only documents can be locked.', 400);
+  const lock = await getLock(env, daCtx.org, daCtx.key);
+  if (!lock) return getErrorResp('not found', 404);
+
+  if (!isLockHolder(daCtx, lock)) {
+    const force = new URL(req.url).searchParams.get('force') === 'true';
+    if (!force) return getLocked(lock);
+    if (!await isKeyAuthorized(env, daCtx, daCtx.key, 'admin')) return getForbidden('admin');
+  }
+  await deleteLock(env, daCtx.org, daCtx.key);
+  return { status: 204 };
+}
@@ -11,9 +11,18 @@
  */
 import moveObject from '../storage/object/move.js';
 import moveHelper from '../helpers/move.js';
+import { getForbidden, isKeyAuthorized } from '../utils/auth.js';
+import { checkLock } from '../utils/lock.js';
 
 export default async function moveRoute({ req, env, daCtx }) {
   const details = await moveHelper(req, daCtx);
   if (details.error) return details.error;
-  return moveObject(env, daCtx, details);
+  // The source key was checked with the context, the destination needs its own check
+  if (!await isKeyAuthorized(env, daCtx, details.destination, 'write')) return getForbidden('write');
+  const locked = await checkLock(env, daCtx, details.source, !daCtx.isFile)
+    || await checkLock(env, daCtx, details.destination, !daCtx.isFile);
+  if (locked) return locked;
+  const resp = await moveObject(env, daCtx, details);
+  // Expose the destination to the audit log
+  return { ...resp, destination: details.destination };
 }
@@ -9,10 +9,53 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-export function postProperties({ env, daCtx }) {
-  return { body: JSON.stringify(env, daCtx), status: 201 };
+import { getProps, putProps } from '../storage/object/props.js';
+import propertiesHelper, { checkLimits } from '../helpers/properties.js';
+
+// The org itself has no sidecar
+function getNoPath() {
+  return { body: JSON.stringify({ error: 'No path provided.' }), status: 400 };
+}
+
+function getPropsResp(props, status) {
+  return { body: JSON.stringify(props), status, contentType: 'application/json' };
+}
+
+export async function getProperties({ env, daCtx }) {
+  if (!daCtx.key) return getNoPath();
+  const { props, status } = await getProps(env, daCtx);
+  if (!props) return { body: '', status };
+  return getPropsResp(props, status);
+}
+
+async function saveProperties(env, daCtx, props) {
+  const error = checkLimits(props);
+  if (error) return error.error;
+  const status = await putProps(env, daCtx, props);
+  if (status !== 200) return { body: '', status };
+  return getPropsResp(props, 200);
+}
+
+export async function putProperties({ req, env, daCtx }) {
+  if (!daCtx.key) return getNoPath();
+  const current = await getProps(env, daCtx);
+  if (!current.props) return { body: '', status: current.status };
+
+  const { props, error } = await propertiesHelper(req);
+  if (error) return error;
+  return saveProperties(env, daCtx, props);
 }
 
-export function getProperties({ env, daCtx }) {
-  return { body: JSON.stringify(env, daCtx), status: 200 };
+export async function patchProperties({ req, env, daCtx }) {
+  if (!daCtx.key) return getNoPath();
+  const current = await getProps(env, daCtx);
+  if (!current.props) return { body: '', status: current.status };
+
+  const { props, error } = await propertiesHelper(req, true);
+  if (error) return error;
+
+  // Like a JSON merge patch, null removes a property
+  const merged = { ...current.props, ...props };
+  Object.keys(props).filter((name) => props[name] === null).forEach((name) => delete merged[name]);
+  return saveProperties(env, daCtx, merged);
 }
@@ -0,0 +1,47 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { listSessions, revokeOrgSession, revokeSession } from '../storage/kv/sessions.js';
+import { getAcl, getMembers, getSessions } from '../utils/auth.js';
+
+// Sessions are global, an org only gets to see the ones of its members, without their user ids
+async function getOrgSessions(env, daCtx) {
+  const members = getMembers(await getAcl(env, daCtx.org));
+  const sessions = await listSessions(env);
+  return sessions
+    .filter(({ email }) => email && members.includes(email.toLowerCase()))
+    .map(({ email, expiration }) => ({ email, expiration }));
+}
+
+export async function logout({ req, env, daCtx }) {
+  const sessions = await getSessions(req, env);
+  if (!sessions.length) return { status: 401 };
+
+  await Promise.all(sessions.map(({ userId }) => revokeSession(env, userId, daCtx.users)));
+  return { status: 204 };
+}
+
+export async function getSessionList({ env, daCtx }) {
+  const body = await getOrgSessions(env, daCtx);
+  return { body: JSON.stringify(body), status: 200, contentType: 'application/json' };
+}
+
+export async function deleteSession({ env, daCtx }) {
+  // Only the access of a member to this org is revoked, their sessions stay valid elsewhere
+  const email = decodeURIComponent(daCtx.key);
+  const members = getMembers(await getAcl(env, daCtx.org));
+  if (!email || !members.includes(email)) {
+    return { body: JSON.stringify({ error: 'not found' }), status: 404 };
+  }
+
+  await revokeOrgSession(env, daCtx.org, email, daCtx.users);
+  return { status: 204 };
+}
@@ -0,0 +1,53 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { deleteShare, listShares, putShare } from '../storage/kv/shares.js';
+import { getShareUrl } from '../utils/share.js';
+import shareHelper from '../helpers/share.js';
+
+export async function getShareList({ env, daCtx }) {
+  const body = await listShares(env, daCtx.org);
+  return { body: JSON.stringify(body), status: 200, contentType: 'application/json' };
+}
+
+export async function postShare({ req, env, daCtx }) {
+  if (!env.DA_SHARE_SECRET) {
+    return { body: JSON.stringify({ error: 'Share links are not configured.' }), status: 501 };
+  }
+  if (!daCtx.isFile) {
+    return { body: JSON.stringify({ error: 'Only documents can be shared.' }), status: 400 };
+  }
+
+  const details = await shareHelper(req);
+  if (details.error) return details.error;
+
+  const share = {
+    id: crypto.randomUUID(),
+    org: daCtx.org,
+    key: daCtx.key,
+    expires: details.expires,
+    uses: details.uses,
+    used: 0,
+    created: new Date().toISOString(),
+    createdBy: daCtx.users.map(({ email }) => email),
+  };
+  await putShare(env, share);
+
+  const body = { ...share, url: await getShareUrl(env, daCtx, share) };
+  return { body: JSON.stringify(body), status: 201, contentType: 'application/json' };
+}
+
+export async function deleteShareLink({ env, daCtx }) {
+  if (!daCtx.key || !await deleteShare(env, daCtx.org, daCtx.key)) {
+    return { body: JSON.stringify({ error: 'not found' }), status: 404 };
+  }
+  return { status: 204 };
+}
@@ -13,18 +13,70 @@ import getObject from '../storage/object/get.js';
 import putObject from '../storage/object/put.js';
 import deleteObjects from '../storage/object/delete.js';
 import { invalidateCollab } from '../storage/utils/object.js';
+import { getBodyEtag, getConditions, isNotModified } from '../utils/etag.js';
+import { checkLock } from '../utils/lock.js';
+import { getLock } from '../storage/kv/locks.js';
+import { MULTI_SHEET_TYPE, querySheetDocument, setSheet } from '../utils/sheet.js';
+import { csvToSheet, sheetToCsv } from '../utils/csv.js';
+import { CACHE_CONTROL } from '../utils/constants.js';
 
 import putHelper from '../helpers/source.js';
+import rangeHelper from '../helpers/range.js';
+import sheetQueryHelper from '../helpers/sheet.js';
 import deleteHelper from '../helpers/delete.js';
 
 export async function deleteSource({ req, env, daCtx }) {
+  const locked = await checkLock(env, daCtx, daCtx.key, !daCtx.isFile);
+  if (locked) return locked;
   const details = await deleteHelper(req);
   return /* await */ deleteObjects(env, daCtx, details);
 }
 
+const NOT_A_SHEET = {
+  body: JSON.stringify({ error: 'The document is not a sheet.' }),
+  status: 422,
+  contentType: 'application/json',
+};
+
+async function readJson(resp) {
+  try {
+    return { json: JSON.parse(await new Response(resp.body).text()) };
+  } catch {
+    return { error: NOT_A_SHEET };
+  }
+}
+
+// CSV is stored as the sheet it converts to, with a sheet parameter as a sheet of a multi-sheet
+async function importCsv(req, env, daCtx, obj) {
+  if (daCtx.ext !== 'json' || obj?.data?.type !== 'text/csv') return obj;
+  const { sheet, error } = csvToSheet(await obj.data.text());
+  if (error) return { error };
+
+  let json = sheet;
+  const name = req.url && new URL(req.url).searchParams.get('sheet');
+  if (name) {
+    if (name.startsWith(':')) {
+      return { error: { body: JSON.stringify({ error: 'Invalid sheet name.' }), status: 400 } };
+    }
+    const current = await getObject(env, daCtx);
+    const existing = current.status === 200 ? await readJson(current) : {};
+    if (existing.error) return existing;
+    json = setSheet(existing.json, name, sheet);
+  }
+  const data = new File([JSON.stringify(json)], daCtx.filename, { type: 'application/json' });
+  return { ...obj, data };
+}
+
 export async function postSource({ req, env, daCtx }) {
-  const obj = await putHelper(req, env, daCtx);
-  const resp = await putObject(env, daCtx, obj);
+  const locked = await checkLock(env, daCtx, daCtx.key);
+  if (locked) return locked;
+  const obj = await importCsv(req, env, daCtx, await putHelper(req, env, daCtx));
+  if (obj?.error) return obj.error;
+  const conditions = {
+    ifMatch: req.headers.get('if-match'),
+    ifNoneMatch: req.headers.get('if-none-match'),
+  };
+  const resp = await putObject(env, daCtx, obj, conditions);
 
   if (resp.status === 201 || resp.status === 200) {
     const initiator = req.headers.get('x-da-initiator');
@@ -35,6 +87,73 @@ export async function postSource({ req, env, daCtx }) {
   return resp;
 }
 
-export async function getSource({ env, daCtx, head }) {
-  return getObject(env, daCtx, head);
+async function readSheet(resp, query) {
+  const { json, error } = await readJson(resp);
+  if (error) return { error };
+  try {
+    return querySheetDocument(json, query);
+  } catch {
+    return { error: NOT_A_SHEET };
+  }
+}
+
+// The result is a different representation, so it has no length or ranges of the object
+async function querySource(resp, query) {
+  const { json, error } = await readSheet(resp, query);
+  if (error) return error;
+  return {
+    ...resp,
+    body: JSON.stringify(json),
+    contentType: 'application/json',
+    contentLength: undefined,
+    acceptRanges: undefined,
+  };
+}
+
+// The CSV of one sheet, the first of a multi-sheet unless a sheet is selected
+async function exportCsv(resp, query, conditions) {
+  const { json, error } = await readSheet(resp, query || { sheets: [], filters: [] });
+  if (error) return error;
+  const sheet = json[':type'] === MULTI_SHEET_TYPE ? json[json[':names'][0]] : json;
+  const body = sheetToCsv(sheet);
+
+  // The ETag of the object is the one of the JSON, so the CSV gets its own
+  const etag = await getBodyEtag(body);
+  if (isNotModified(conditions, { etag, lastModified: resp.lastModified })) {
+    return { status: 304, etag, cacheControl: CACHE_CONTROL };
+  }
+  return {
+    body,
+    status: 200,
+    contentType: 'text/csv; charset=utf-8',
+    etag,
+    lastModified: resp.lastModified,
+    cacheControl: CACHE_CONTROL,
+    meta: resp.meta,
+  };
+}
+
+export async function getSource({
+  req, env, daCtx, head,
+}) {
+  const isSheet = daCtx.ext === 'json' && !head;
+  const { query, error: queryError } = isSheet ? sheetQueryHelper(req) : {};
+  if (queryError) return queryError;
+  const csv = isSheet && !!req?.headers?.get('accept')?.includes('text/csv');
+  // A query or CSV reads the whole sheet, CSV is checked for changes by itself
+  const { range, error } = head || query || csv ? {} : rangeHelper(req);
+  if (error) return error;
+  const conditions = csv ? {} : getConditions(req);
+  const [resp, lock] = await Promise.all([
+    getObject(env, daCtx, head, { ...conditions, range }),
+    daCtx.isFile ? getLock(env, daCtx.org, daCtx.key) : null,
+  ]);
+
+  let result = resp;
+  if (resp.status === 200 && csv) {
+    result = await exportCsv(resp, query, getConditions(req));
+  } else if (resp.status === 200 && query) {
+    result = await querySource(resp, query);
+  }
+  return lock ? { ...result, lock } : result;
 }
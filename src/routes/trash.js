@@ -0,0 +1,35 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import listTrash from '../storage/trash/list.js';
+import restoreTrashEntry from '../storage/trash/restore.js';
+import { purgeExpiredTrash, purgeTrashEntry } from '../storage/trash/purge.js';
+import { isTrashId } from '../storage/utils/trash.js';
+
+function getInvalidId() {
+  return { body: JSON.stringify({ error: 'Invalid trash entry id.' }), status: 400 };
+}
+
+export async function getTrash({ env, daCtx }) {
+  return listTrash(env, daCtx);
+}
+
+export async function postTrash({ env, daCtx }) {
+  if (!isTrashId(daCtx.key)) return getInvalidId();
+  return restoreTrashEntry(env, daCtx, daCtx.key);
+}
+
+export async function deleteTrash({ env, daCtx }) {
+  // Without an entry, everything past the retention is purged
+  if (!daCtx.key) return purgeExpiredTrash(env, daCtx);
+  if (!isTrashId(daCtx.key)) return getInvalidId();
+  return purgeTrashEntry(env, daCtx, daCtx.key);
+}
@@ -0,0 +1,44 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { createUpload, finalizeUpload } from '../storage/object/upload.js';
+import { finalizeUploadHelper, startUploadHelper } from '../helpers/upload.js';
+import { checkType } from '../utils/mime.js';
+import { checkLock } from '../utils/lock.js';
+
+function getNotAFile() {
+  return { body: JSON.stringify({ error: 'Only files can be uploaded.' }), status: 400 };
+}
+
+export async function postUpload({ req, env, daCtx }) {
+  if (!daCtx.isFile) return getNotAFile();
+
+  const details = await startUploadHelper(req);
+  if (details.error) return details.error;
+
+  // Refuse types early, the content is checked when finalizing
+  const { type, error } = await checkType(env, daCtx, details.type);
+  if (error) return error;
+
+  return createUpload(env, daCtx, { ...details, type });
+}
+
+export async function postUploadFinalize({ req, env, daCtx }) {
+  if (!daCtx.isFile) return getNotAFile();
+
+  const details = await finalizeUploadHelper(req);
+  if (details.error) return details.error;
+
+  const locked = await checkLock(env, daCtx, daCtx.key);
+  if (locked) return locked;
+
+  return finalizeUpload(env, daCtx, details);
+}
@@ -0,0 +1,115 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  GetObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+import { getAuditDayPrefix } from './put.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Records fetched at once, as a worker can only have a few connections open
+const BATCH_SIZE = 20;
+// Records fetched by a request, keeping it within the subrequest limit of a worker
+export const MAX_FETCHES = 200;
+
+async function listDayKeys(client, Bucket, day) {
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const input = { Bucket, Prefix: getAuditDayPrefix(day), ContinuationToken };
+    const command = new ListObjectsV2Command(input);
+    const { Contents = [], NextContinuationToken } = await client.send(command);
+    keys.push(...Contents.map(({ Key }) => Key));
+    ContinuationToken = NextContinuationToken;
+  } while (ContinuationToken);
+  return keys;
+}
+
+function getKeyTimestamp(key) {
+  return Number(key.split('/').pop().split('-')[0]);
+}
+
+function matches(record, { user, path }) {
+  if (user && !record.users.some(({ email }) => email.toLowerCase() === user)) return false;
+  if (path) {
+    const isIn = (key) => key !== undefined && (`/${key}` === path || `/${key}`.startsWith(`${path}/`));
+    if (!isIn(record.key) && !isIn(record.destination)) return false;
+  }
+  return true;
+}
+
+/**
+ * Lists the audit records of an org, oldest first.
+ * Records are fetched in batches until the limit is reached, or until a request has fetched
+ * MAX_FETCHES of them. A request stopping before the end of the range gets a 206 with the
+ * records and a continuationToken to list the rest with.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} filters from, to (ms), user (email), path, limit and continuationToken
+ */
+export default async function listAuditRecords(env, daCtx, filters) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  const {
+    to, limit, continuationToken: after,
+  } = filters;
+  const from = after ? Math.max(filters.from, getKeyTimestamp(after)) : filters.from;
+
+  const records = [];
+  let fetched = 0;
+  let last;
+  const isDone = () => records.length >= limit || fetched >= MAX_FETCHES;
+
+  // Returns whether records of the day were left unread
+  const readDay = async (keys) => {
+    let read = 0;
+    while (read < keys.length && !isDone()) {
+      const batchKeys = keys.slice(read, read + Math.min(BATCH_SIZE, MAX_FETCHES - fetched));
+      const batch = await Promise.all(batchKeys.map(async (Key) => {
+        const resp = await client.send(new GetObjectCommand({ Bucket, Key }));
+        return JSON.parse(await resp.Body.transformToString());
+      }));
+      fetched += batchKeys.length;
+      // Records past the limit are read again by the next request
+      for (let i = 0; i < batch.length && records.length < limit; i += 1) {
+        last = batchKeys[i];
+        if (matches(batch[i], filters)) records.push(batch[i]);
+        read += 1;
+      }
+    }
+    return read < keys.length;
+  };
+
+  try {
+    let more = false;
+    for (let day = from - (from % DAY); day <= to && !more; day += DAY) {
+      const keys = (await listDayKeys(client, Bucket, day))
+        .filter((key) => {
+          const timestamp = getKeyTimestamp(key);
+          return timestamp >= from && timestamp <= to && (!after || key > after);
+        })
+        .sort();
+      more = await readDay(keys);
+    }
+
+    if (more && last) {
+      const body = { records, continuationToken: last };
+      return { body: JSON.stringify(body), status: 206, contentType: 'application/json' };
+    }
+    return { body: JSON.stringify(records), status: 200, contentType: 'application/json' };
+  } catch (e) {
+    return { body: '', status: e.$metadata?.httpStatusCode || 500 };
+  }
+}
@@ -0,0 +1,67 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+
+export const AUDIT_PREFIX = '.da-audit';
+
+/**
+ * Get the folder holding the audit records of a day.
+ * @param {Number} timestamp any time of the day
+ * @returns {String} the prefix, e.g. .da-audit/2024/03/21/
+ */
+export function getAuditDayPrefix(timestamp) {
+  const [date] = new Date(timestamp).toISOString().split('T');
+  return `${AUDIT_PREFIX}/${date.replaceAll('-', '/')}/`;
+}
+
+/**
+ * Appends an audit record of a mutating request to the org bucket.
+ * Every record is its own object, so writing one never has to read (or lock) another.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Request} req the request
+ * @param {Object} respObj the response object of the request
+ */
+export default async function putAuditRecord(env, daCtx, req, respObj) {
+  const timestamp = Date.now();
+  const record = {
+    timestamp,
+    users: daCtx.users,
+    method: req.method,
+    route: daCtx.api,
+    key: daCtx.key,
+    destination: respObj.destination,
+    status: respObj.status,
+    initiator: req.headers.get('x-da-initiator') || undefined,
+  };
+
+  const input = {
+    Bucket: `${daCtx.org}-content`,
+    Key: `${getAuditDayPrefix(timestamp)}${timestamp}-${crypto.randomUUID()}.json`,
+    Body: JSON.stringify(record),
+    ContentType: 'application/json',
+  };
+
+  try {
+    const client = new S3Client(getS3Config(env));
+    await client.send(new PutObjectCommand(input));
+  } catch (e) {
+    // The operation already happened, so don't fail it because of its record
+    // eslint-disable-next-line no-console
+    console.log(`There was an error writing the audit record ${input.Key}.`);
+  }
+}
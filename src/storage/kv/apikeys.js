@@ -0,0 +1,121 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+export const API_KEY_PREFIX = 'dak_';
+
+async function hashKey(apiKey) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function generateKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return `${API_KEY_PREFIX}${[...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function getIndex(env, org) {
+  return (await env.DA_AUTH.get(`apikeys-${org}`, { type: 'json' })) || [];
+}
+
+function toPublic({
+  id, name, paths, operations, expires, created, createdBy,
+}) {
+  return {
+    id, name, paths, operations, expires, created, createdBy,
+  };
+}
+
+/**
+ * Lists the API keys of an org. The keys themselves are never returned.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ */
+export async function listApiKeys(env, daCtx) {
+  const index = await getIndex(env, daCtx.org);
+  const now = Date.now();
+  const body = index
+    .filter(({ expires }) => !expires || Date.parse(expires) > now)
+    .map(toPublic);
+  return { body: JSON.stringify(body), status: 200, contentType: 'application/json' };
+}
+
+/**
+ * Creates an API key for an org. Only the hash of the key is stored,
+ * so the response of this call is the only time the key can be read.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} details the name, paths, operations and expires of the key
+ */
+export async function createApiKey(env, daCtx, details) {
+  const apiKey = generateKey();
+  const hash = await hashKey(apiKey);
+
+  const record = {
+    id: crypto.randomUUID(),
+    org: daCtx.org,
+    name: details.name,
+    paths: details.paths,
+    operations: details.operations,
+    expires: details.expires,
+    created: new Date().toISOString(),
+    createdBy: daCtx.users.map(({ email }) => email),
+  };
+
+  const opts = record.expires ? { expiration: Math.floor(Date.parse(record.expires) / 1000) } : {};
+  await env.DA_AUTH.put(`apikey-${hash}`, JSON.stringify(record), opts);
+
+  const index = await getIndex(env, daCtx.org);
+  index.push({ ...record, hash });
+  await env.DA_AUTH.put(`apikeys-${daCtx.org}`, JSON.stringify(index));
+
+  const body = { ...toPublic(record), key: apiKey };
+  return { body: JSON.stringify(body), status: 201, contentType: 'application/json' };
+}
+
+/**
+ * Revokes an API key of an org.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {String} id the id of the key
+ */
+export async function revokeApiKey(env, daCtx, id) {
+  const index = await getIndex(env, daCtx.org);
+  const found = index.find((entry) => entry.id === id);
+  if (!found) return { body: JSON.stringify({ error: 'not found' }), status: 404 };
+
+  await env.DA_AUTH.delete(`apikey-${found.hash}`);
+  const remaining = index.filter((entry) => entry.id !== id);
+  await env.DA_AUTH.put(`apikeys-${daCtx.org}`, JSON.stringify(remaining));
+  return { status: 204 };
+}
+
+/**
+ * Resolves an API key to a synthetic user.
+ * @param {String} apiKey the API key as sent by the client
+ * @param {Object} env the cloud provider environment
+ * @returns {Promise<Object>} the user, null if the key is unknown, revoked or expired
+ */
+export async function getApiKeyUser(apiKey, env) {
+  const record = await env.DA_AUTH.get(`apikey-${await hashKey(apiKey)}`, { type: 'json' });
+  if (!record) return null;
+  if (record.expires && Date.parse(record.expires) <= Date.now()) return null;
+
+  const {
+    id, org, name, paths, operations, createdBy,
+  } = record;
+  return {
+    email: `apikey:${name}`,
+    apiKey: {
+      id, org, paths, operations, createdBy,
+    },
+  };
+}
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const LOCK_PREFIX = 'lock-';
+
+// KV does not expire keys sooner than a minute from now
+const MIN_KV_TTL = 60;
+
+// A slash ends the org, as it can't be part of one
+function getLockKey(org, key) {
+  return `${LOCK_PREFIX}${org}/${key}`;
+}
+
+// KV expires keys lazily, so an expired lock is gone whether or not its key is
+function isActive(lock) {
+  return !!lock && Date.parse(lock.expires) > Date.now();
+}
+
+/**
+ * Get the lock of a document.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String} key the key of the document
+ * @returns {Promise<Object>} the lock, null if the document isn't locked
+ */
+export async function getLock(env, org, key) {
+  const lock = await env.DA_AUTH.get(getLockKey(org, key), { type: 'json' });
+  return isActive(lock) && lock.org === org ? lock : null;
+}
+
+export async function putLock(env, lock) {
+  const expiration = Math.max(
+    Math.floor(Date.parse(lock.expires) / 1000),
+    Math.floor(Date.now() / 1000) + MIN_KV_TTL,
+  );
+  // The lock is kept as metadata too, so listing does not need a read per lock
+  await env.DA_AUTH.put(getLockKey(lock.org, lock.key), JSON.stringify(lock), {
+    expiration, metadata: lock,
+  });
+}
+
+export async function deleteLock(env, org, key) {
+  await env.DA_AUTH.delete(getLockKey(org, key));
+}
+
+/**
+ * Lists the locks of the documents in a folder.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String} folder the key of the folder
+ * @returns {Promise<Object[]>} the locks
+ */
+export async function listLocks(env, org, folder) {
+  const locks = [];
+  let cursor;
+  do {
+    const resp = await env.DA_AUTH.list({ prefix: getLockKey(org, `${folder}/`), cursor });
+    const active = resp.keys.map(({ metadata }) => metadata).filter(isActive);
+    locks.push(...active.filter((lock) => lock.org === org));
+    cursor = resp.list_complete ? undefined : resp.cursor;
+  } while (cursor);
+  return locks;
+}
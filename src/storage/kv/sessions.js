@@ -0,0 +1,109 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const SESSION_PREFIX = 'session-';
+const REVOKED_PREFIX = 'revoked-';
+const ORG_REVOKED_PREFIX = 'revoked-org-';
+
+// IMS tokens live for a day, a revocation does not need to outlive them
+const REVOCATION_TTL = 60 * 60 * 24;
+
+export async function getSession(env, userId) {
+  return env.DA_AUTH.get(`${SESSION_PREFIX}${userId}`);
+}
+
+export async function putSession(env, userId, value, expiration) {
+  const { email } = JSON.parse(value);
+  await env.DA_AUTH.put(`${SESSION_PREFIX}${userId}`, value, { expiration, metadata: { email } });
+}
+
+/**
+ * Lists the cached sessions.
+ * @param {Object} env the cloud provider environment
+ * @returns {Promise<Object[]>} the user id, email and expiration of each session
+ */
+export async function listSessions(env) {
+  const sessions = [];
+  let cursor;
+  do {
+    const resp = await env.DA_AUTH.list({ prefix: SESSION_PREFIX, cursor });
+    sessions.push(...resp.keys.map(({ name, expiration, metadata }) => ({
+      userId: name.substring(SESSION_PREFIX.length),
+      email: metadata?.email,
+      expiration,
+    })));
+    cursor = resp.list_complete ? undefined : resp.cursor;
+  } while (cursor);
+  return sessions;
+}
+
+/**
+ * Revokes the sessions of a user. Tokens created before the
+ * revocation are refused, logging in again creates a new session.
+ * @param {Object} env the cloud provider environment
+ * @param {String} userId the IMS user id
+ * @param {Object[]} revokedBy the users revoking the session
+ */
+export async function revokeSession(env, userId, revokedBy) {
+  await env.DA_AUTH.delete(`${SESSION_PREFIX}${userId}`);
+  const value = JSON.stringify({
+    revokedAt: Date.now(),
+    revokedBy: revokedBy.map(({ email }) => email),
+  });
+  await env.DA_AUTH.put(`${REVOKED_PREFIX}${userId}`, value, { expirationTtl: REVOCATION_TTL });
+}
+
+/**
+ * Revokes the access of a member to an org. Sessions are shared by all orgs,
+ * so tokens created before the revocation are only refused in this org.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String} email the email of the member
+ * @param {Object[]} revokedBy the users revoking the access
+ */
+export async function revokeOrgSession(env, org, email, revokedBy) {
+  const value = JSON.stringify({
+    revokedAt: Date.now(),
+    revokedBy: revokedBy.map((user) => user.email),
+  });
+  const key = `${ORG_REVOKED_PREFIX}${org}/${email.toLowerCase()}`;
+  await env.DA_AUTH.put(key, value, { expirationTtl: REVOCATION_TTL });
+}
+
+async function isRevokedBefore(env, key, createdAt) {
+  const revoked = await env.DA_AUTH.get(key, { type: 'json' });
+  if (!revoked) return false;
+  return !(Number(createdAt) > revoked.revokedAt);
+}
+
+/**
+ * Check if a token of a user was revoked in an org.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String} email the email of the user
+ * @param {Number} createdAt when the token was created (ms)
+ * @returns {Promise<Boolean>}
+ */
+export async function isRevokedInOrg(env, org, email, createdAt) {
+  return isRevokedBefore(env, `${ORG_REVOKED_PREFIX}${org}/${email.toLowerCase()}`, createdAt);
+}
+
+/**
+ * Check if a token of a user was revoked.
+ * @param {Object} env the cloud provider environment
+ * @param {String} userId the IMS user id
+ * @param {Number} createdAt when the token was created (ms)
+ * @returns {Promise<Boolean>}
+ */
+export async function isRevoked(env, userId, createdAt) {
+  return isRevokedBefore(env, `${REVOKED_PREFIX}${userId}`, createdAt);
+}
@@ -0,0 +1,80 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const SHARE_PREFIX = 'share-';
+
+// Orgs can contain hyphens but no slashes, so a slash keeps the keys of orgs apart
+function getShareKey(org, id) {
+  return `${SHARE_PREFIX}${org}/${id}`;
+}
+
+// The share is kept as metadata too, so listing does not need a read per share
+function getPutOptions(share) {
+  return { expiration: Math.floor(Date.parse(share.expires) / 1000), metadata: share };
+}
+
+export async function getShare(env, org, id) {
+  const share = await env.DA_AUTH.get(getShareKey(org, id), { type: 'json' });
+  return share?.org === org ? share : null;
+}
+
+export async function putShare(env, share) {
+  const key = getShareKey(share.org, share.id);
+  await env.DA_AUTH.put(key, JSON.stringify(share), getPutOptions(share));
+}
+
+/**
+ * Lists the outstanding share links of an org.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @returns {Promise<Object[]>} the shares
+ */
+export async function listShares(env, org) {
+  const shares = [];
+  let cursor;
+  do {
+    const resp = await env.DA_AUTH.list({ prefix: getShareKey(org, ''), cursor });
+    shares.push(...resp.keys.map(({ metadata }) => metadata).filter((share) => share?.org === org));
+    cursor = resp.list_complete ? undefined : resp.cursor;
+  } while (cursor);
+  return shares;
+}
+
+/**
+ * Revokes a share link.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String} id the id of the share
+ * @returns {Promise<Boolean>} false if there is no such share
+ */
+export async function deleteShare(env, org, id) {
+  if (!await getShare(env, org, id)) return false;
+  await env.DA_AUTH.delete(getShareKey(org, id));
+  return true;
+}
+
+/**
+ * Get a share link that still has uses left and count a use of it.
+ * KV has no atomic increment, so concurrent uses can exceed the cap slightly.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String} id the id of the share
+ * @param {Boolean} count whether the request counts as a use
+ * @returns {Promise<Object>} the share, null if revoked, expired or used up
+ */
+export async function useShare(env, org, id, count) {
+  const share = await getShare(env, org, id);
+  if (!share || Date.parse(share.expires) <= Date.now()) return null;
+  if (share.uses && share.used >= share.uses) return null;
+  if (count) await putShare(env, { ...share, used: share.used + 1 });
+  return share;
+}
@@ -11,13 +11,16 @@
  */
 import {
   S3Client,
+  CopyObjectCommand,
   DeleteObjectCommand,
+  PutObjectCommand,
 } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import getS3Config from '../utils/config.js';
 import { invalidateCollab } from '../utils/object.js';
 // import { postObjectVersionWithLabel } from '../version/put.js';
 import { listCommand } from '../utils/list.js';
+import { getTrashEntryKey, getTrashId, getTrashKey } from '../utils/trash.js';
 
 export async function deleteObject(client, daCtx, Key, env /* , isMove = false */) {
   // const fname = Key.split('/').pop();
@@ -46,15 +49,61 @@ export async function deleteObject(client, daCtx, Key, env /* , isMove = false *
   return resp;
 }
 
+async function trashObject(client, daCtx, Key, env, id) {
+  const Bucket = `${daCtx.org}-content`;
+  try {
+    const CopySource = `${Bucket}/${Key}`;
+    await client.send(new CopyObjectCommand({ Bucket, Key: getTrashKey(id, Key), CopySource }));
+  } catch (e) {
+    // Folders are not guaranteed to have an object or a .props marker
+    if (e.$metadata?.httpStatusCode === 404) return {};
+    return { failed: Key };
+  }
+  // Only delete the source once it is safe in the trash
+  await deleteObject(client, daCtx, Key, env);
+  return { trashed: Key };
+}
+
+async function putTrashEntry(client, daCtx, entry) {
+  const input = {
+    Bucket: `${daCtx.org}-content`,
+    Key: getTrashEntryKey(entry.id),
+    Body: JSON.stringify(entry),
+    ContentType: 'application/json',
+  };
+  await client.send(new PutObjectCommand(input));
+}
+
+/**
+ * Deletes a document or folder by moving its objects into the trash of the org.
+ * Every request is its own trash entry, recording who deleted what and when.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} details contains any previous continuation token
+ */
 export default async function deleteObjects(env, daCtx, details) {
   const config = getS3Config(env);
   const client = new S3Client(config);
 
   try {
     const { sourceKeys, continuationToken } = await listCommand(daCtx, details, client);
-    await Promise.all(sourceKeys.map(async (key) => {
-      await deleteObject(client, daCtx, key, env);
-    }));
+    const id = getTrashId();
+    const results = await Promise.all(sourceKeys.map(
+      async (key) => trashObject(client, daCtx, key, env, id),
+    ));
+
+    const keys = results.filter(({ trashed }) => trashed).map(({ trashed }) => trashed);
+    if (keys.length) {
+      await putTrashEntry(client, daCtx, {
+        id, key: daCtx.key, users: daCtx.users, deleted: Date.now(), keys,
+      });
+    }
+
+    const failed = results.filter((result) => result.failed).map((result) => result.failed);
+    if (failed.length) {
+      const body = JSON.stringify({ error: 'Some objects could not be moved to the trash.', failed });
+      return { body, status: 500, contentType: 'application/json' };
+    }
 
     if (continuationToken) {
       return { body: JSON.stringify({ continuationToken }), status: 206 };
@@ -0,0 +1,119 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+import { ifNoneMatch } from '../utils/version.js';
+
+// The name of the direct child a key below the folder belongs to, if it is listed
+function getChildName(rest) {
+  const [first, ...deeper] = rest.split('/');
+  const splitName = first.split('.');
+  // Extension folders are not listed
+  if (deeper.length) return splitName.length > 1 ? undefined : `${first}/`;
+
+  // Hidden files and sidecars of files are not listed
+  const [name, ext] = splitName;
+  if (splitName.length !== 2 || !name) return undefined;
+  // The marker of an explicit child folder
+  if (ext === 'props') return `${name}/`;
+  return first;
+}
+
+async function getMarker(client, Bucket, Key) {
+  try {
+    const resp = await client.send(new HeadObjectCommand({ Bucket, Key }));
+    return { lastModified: resp.LastModified };
+  } catch (e) {
+    if (e.$metadata?.httpStatusCode === 404) return undefined;
+    throw e;
+  }
+}
+
+/**
+ * Get the details of a folder.
+ * A folder is explicit when it has a .props marker, so it exists without any children.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @returns {Promise<Object>} the folder info and status, 404 if the folder doesn't exist
+ */
+export async function getFolderInfo(env, daCtx) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  const Prefix = `${daCtx.key}/`;
+
+  try {
+    const marker = await getMarker(client, Bucket, daCtx.propsKey);
+    const contents = [];
+    let ContinuationToken;
+    do {
+      const command = new ListObjectsV2Command({ Bucket, Prefix, ContinuationToken });
+      const resp = await client.send(command);
+      const { Contents = [], NextContinuationToken } = resp;
+      contents.push(...Contents);
+      ContinuationToken = NextContinuationToken;
+    } while (ContinuationToken);
+
+    if (!marker && !contents.length) return { status: 404 };
+
+    const children = new Set();
+    let size = 0;
+    let lastModified = marker?.lastModified?.getTime() || 0;
+    contents.forEach(({ Key, Size = 0, LastModified }) => {
+      const child = getChildName(Key.slice(Prefix.length));
+      if (child) children.add(child);
+      size += Size;
+      lastModified = Math.max(lastModified, LastModified?.getTime() || 0);
+    });
+
+    const info = {
+      path: `/${daCtx.org}/${daCtx.key}`,
+      name: daCtx.key.split('/').pop(),
+      explicit: !!marker,
+      children: children.size,
+      size,
+      lastModified: lastModified || undefined,
+    };
+    return { info, status: 200 };
+  } catch (e) {
+    return { status: e.$metadata?.httpStatusCode || 500 };
+  }
+}
+
+/**
+ * Create an explicit folder by writing its .props marker.
+ * The properties of an existing folder are kept.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @returns {Promise<Number>} 201 if the folder was created, 200 if it already existed
+ */
+export async function createFolder(env, daCtx) {
+  const client = ifNoneMatch(getS3Config(env));
+  const input = {
+    Bucket: `${daCtx.org}-content`,
+    Key: daCtx.propsKey,
+    Body: JSON.stringify({}),
+    ContentType: 'application/json',
+  };
+  try {
+    const resp = await client.send(new PutObjectCommand(input));
+    return resp.$metadata.httpStatusCode === 200 ? 201 : resp.$metadata.httpStatusCode;
+  } catch (e) {
+    const status = e.$metadata?.httpStatusCode || 500;
+    return status === 412 ? 200 : status;
+  }
+}
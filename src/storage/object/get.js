@@ -17,29 +17,86 @@ import {
 
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import getS3Config from '../utils/config.js';
+import { isNotModified } from '../../utils/etag.js';
+import { CACHE_CONTROL } from '../../utils/constants.js';
+import { fromS3Meta } from '../../utils/meta.js';
 
 function buildInput({ org, key }) {
   const Bucket = `${org}-content`;
   return { Bucket, Key: key };
 }
 
-export default async function getObject(env, { org, key }, head = false) {
+// S3 checks the conditions of a GET, so the body is not even read when unchanged
+function buildConditions({ ifNoneMatch, ifModifiedSince }) {
+  const since = Date.parse(ifModifiedSince);
+  return {
+    IfNoneMatch: ifNoneMatch,
+    IfModifiedSince: !ifNoneMatch && !Number.isNaN(since) ? new Date(since) : undefined,
+  };
+}
+
+// S3 does not tell which ETag matched, but a client usually sends only the one it has
+function getMatchedEtag({ ifNoneMatch }) {
+  return ifNoneMatch && !/[,*]/.test(ifNoneMatch) ? ifNoneMatch.trim() : undefined;
+}
+
+// The Content-Range of a 416, S3 names the size of the object in its error
+async function getUnsatisfiedRange(client, input, e) {
+  try {
+    const size = e.ActualObjectSize
+      ?? (await client.send(new HeadObjectCommand(input))).ContentLength;
+    return size === undefined ? undefined : `bytes */${size}`;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Gets an object from the org bucket.
+ * @param {Object} env the cloud provider environment
+ * @param {Object} location the org and key of the object
+ * @param {Boolean} head only get the metadata
+ * @param {Object} conditions the If-None-Match and If-Modified-Since of a conditional request,
+ * and the byte range to get (e.g. bytes=0-1023)
+ * @returns {Promise<Object>} the object, with status 304 if the client has it already
+ */
+export default async function getObject(env, { org, key }, head = false, conditions = {}) {
   const config = getS3Config(env);
   const client = new S3Client(config);
 
   const input = buildInput({ org, key });
   if (!head) {
     try {
-      const resp = await client.send(new GetObjectCommand(input));
+      const command = new GetObjectCommand({
+        ...input, ...buildConditions(conditions), Range: conditions.range,
+      });
+      const resp = await client.send(command);
       return {
         body: resp.Body,
         status: resp.$metadata.httpStatusCode,
         contentType: resp.ContentType,
         contentLength: resp.ContentLength,
         metadata: resp.Metadata,
+        meta: fromS3Meta(resp.Metadata),
         etag: resp.ETag,
+        lastModified: resp.LastModified?.toUTCString(),
+        cacheControl: resp.CacheControl || CACHE_CONTROL,
+        contentRange: resp.ContentRange,
+        acceptRanges: 'bytes',
       };
     } catch (e) {
+      if (e.$metadata?.httpStatusCode === 304) {
+        return { status: 304, etag: getMatchedEtag(conditions), cacheControl: CACHE_CONTROL };
+      }
+      if (e.$metadata?.httpStatusCode === 416) {
+        return {
+          body: '',
+          status: 416,
+          contentLength: 0,
+          contentRange: await getUnsatisfiedRange(client, input, e),
+          acceptRanges: 'bytes',
+        };
+      }
       return { body: '', status: e.$metadata?.httpStatusCode || 404, contentLength: 0 };
     }
   }
@@ -51,12 +108,24 @@ export default async function getObject(env, { org, key }, head = false) {
       Metadata[key2.substring('x-amz-meta-'.length)] = value;
     }
   });
+  const etag = resp.headers.get('etag');
+  const lastModified = resp.headers.get('last-modified');
+  const cacheControl = resp.headers.get('cache-control') || CACHE_CONTROL;
+  if (resp.ok && isNotModified(conditions, { etag, lastModified })) {
+    return {
+      status: 304, etag, lastModified, cacheControl,
+    };
+  }
   return {
     body: '',
     status: resp.status,
     contentType: resp.headers.get('content-type'),
     contentLength: resp.headers.get('content-length'),
     metadata: Metadata,
-    etag: resp.headers.get('etag'),
+    meta: fromS3Meta(Metadata),
+    etag,
+    lastModified,
+    cacheControl,
+    acceptRanges: 'bytes',
   };
 }
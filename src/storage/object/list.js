@@ -16,6 +16,8 @@ import {
 
 import getS3Config from '../utils/config.js';
 import formatList from '../utils/list.js';
+import { getBodyEtag, isNotModified } from '../../utils/etag.js';
+import { CACHE_CONTROL } from '../../utils/constants.js';
 
 function buildInput({ org, key }) {
   return {
@@ -25,7 +27,14 @@ function buildInput({ org, key }) {
   };
 }
 
-export default async function listObjects(env, daCtx) {
+/**
+ * Lists the objects of a folder.
+ * The ETag of a listing only changes with its content, so clients can poll it.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} conditions the If-None-Match of a conditional request
+ */
+export default async function listObjects(env, daCtx, conditions = {}) {
   const config = getS3Config(env);
   const client = new S3Client(config);
 
@@ -34,11 +43,17 @@ export default async function listObjects(env, daCtx) {
   try {
     const resp = await client.send(command);
     // console.log(resp);
-    const body = formatList(resp, daCtx);
+    const body = JSON.stringify(formatList(resp, daCtx));
+    const etag = await getBodyEtag(body);
+    if (isNotModified({ ifNoneMatch: conditions.ifNoneMatch }, { etag })) {
+      return { status: 304, etag, cacheControl: CACHE_CONTROL };
+    }
     return {
-      body: JSON.stringify(body),
+      body,
       status: resp.$metadata.httpStatusCode,
       contentType: resp.ContentType,
+      etag,
+      cacheControl: CACHE_CONTROL,
     };
   } catch (e) {
     return { body: '', status: 404 };
@@ -32,11 +32,9 @@ export default async function moveObject(env, daCtx, details) {
 
   // The input prefix has a forward slash to prevent (drafts + drafts-new, etc.).
   // Which means the list will only pickup children. This adds to the initial list.
-  const sourceKeys = [details.source];
-
-  // Only add .props if the source is a folder
+  // The .props of a folder or the properties sidecar of a file goes with it
   // Note: this is not guaranteed to exist
-  if (!daCtx.isFile) sourceKeys.push(`${details.source}.props`);
+  const sourceKeys = [details.source, `${details.source}.props`];
 
   const results = [];
   let ContinuationToken;
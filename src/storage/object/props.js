@@ -0,0 +1,74 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+import { getFolderInfo } from './folder.js';
+
+/**
+ * Get the properties of a document or folder from its .props sidecar.
+ * A document without a sidecar has no properties yet, so does a folder with only children.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @returns {Promise<Object>} the properties and status, 404 if the document or folder doesn't exist
+ */
+export async function getProps(env, daCtx) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  try {
+    const resp = await client.send(new GetObjectCommand({ Bucket, Key: daCtx.propsKey }));
+    return { props: JSON.parse(await resp.Body.transformToString()), status: 200 };
+  } catch (e) {
+    const status = e.$metadata?.httpStatusCode || 500;
+    if (status !== 404) return { status };
+  }
+
+  // Writing the .props of a folder that doesn't exist would create it
+  if (!daCtx.isFile) {
+    const { status } = await getFolderInfo(env, daCtx);
+    return status === 200 ? { props: {}, status } : { status };
+  }
+  try {
+    await client.send(new HeadObjectCommand({ Bucket, Key: daCtx.key }));
+    return { props: {}, status: 200 };
+  } catch (e) {
+    return { status: e.$metadata?.httpStatusCode || 404 };
+  }
+}
+
+/**
+ * Replace the properties of a document or folder.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} props the properties
+ * @returns {Promise<Number>} the status
+ */
+export async function putProps(env, daCtx, props) {
+  const client = new S3Client(getS3Config(env));
+  const input = {
+    Bucket: `${daCtx.org}-content`,
+    Key: daCtx.propsKey,
+    Body: JSON.stringify(props),
+    ContentType: 'application/json',
+  };
+  try {
+    const resp = await client.send(new PutObjectCommand(input));
+    return resp.$metadata.httpStatusCode;
+  } catch (e) {
+    return e.$metadata?.httpStatusCode || 500;
+  }
+}
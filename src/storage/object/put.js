@@ -9,18 +9,18 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import {
-  S3Client,
-  PutObjectCommand,
-} from '@aws-sdk/client-s3';
-
-import getS3Config from '../utils/config.js';
 import { sourceRespObject } from '../../helpers/source.js';
 import { putObjectWithVersion } from '../version/put.js';
+import { checkContentType } from '../../utils/mime.js';
+import { checkMeta } from '../../utils/meta.js';
+import { checkSheet } from '../../utils/sheet.js';
+import { createFolder } from './folder.js';
 
-async function getFileBody(data) {
+async function getFileBody(env, daCtx, data) {
+  const { type, error } = await checkContentType(env, daCtx, data);
+  if (error) return { error };
   await data.text();
-  return { body: data, type: data.type };
+  return { body: data, type };
 }
 
 function getObjectBody(data) {
@@ -28,30 +28,6 @@ function getObjectBody(data) {
   return { body: JSON.stringify(data), type: 'application/json' };
 }
 
-function buildInput({
-  org, key, body, type,
-}) {
-  const Bucket = `${org}-content`;
-  return {
-    Bucket, Key: key, Body: body, ContentType: type,
-  };
-}
-
-function createBucketIfMissing(client) {
-  client.middlewareStack.add(
-    (next) => async (args) => {
-      // eslint-disable-next-line no-param-reassign
-      args.request.headers['cf-create-bucket-if-missing'] = 'true';
-      return next(args);
-    },
-    {
-      step: 'build',
-      name: 'createIfMissingMiddleware',
-      tags: ['METADATA', 'CREATE-BUCKET-IF-MISSING'],
-    },
-  );
-}
-
 /**
  * Check to see if the org is in the existing list of orgs
  *
@@ -66,42 +42,39 @@ async function checkOrgIndex(env, org) {
   await env.DA_AUTH.put('orgs', JSON.stringify(orgs));
 }
 
-export default async function putObject(env, daCtx, obj) {
-  const config = getS3Config(env);
-  const client = new S3Client(config);
-
-  const { org, key, propsKey } = daCtx;
+export default async function putObject(env, daCtx, obj, conditions = {}) {
+  const { org, key } = daCtx;
 
   // Only allow creating a new bucket for orgs and repos
-  if (key.split('/').length <= 1) {
-    await checkOrgIndex(env, org);
-
-    // R2 ONLY FEATURE
-    createBucketIfMissing(client);
-  }
-
-  const inputs = [];
+  if (key.split('/').length <= 1) await checkOrgIndex(env, org);
 
   let status = 201;
   if (obj) {
     if (obj.data) {
+      const metaError = await checkMeta(env, org, obj.meta);
+      if (metaError) return metaError.error;
+
       const isFile = obj.data instanceof File;
-      const { body, type } = isFile ? await getFileBody(obj.data) : getObjectBody(obj.data);
+      const {
+        body, type, error,
+      } = isFile ? await getFileBody(env, daCtx, obj.data) : getObjectBody(obj.data);
+      if (error) return error;
+      if (daCtx.ext === 'json') {
+        const sheetError = checkSheet(isFile ? await body.text() : body);
+        if (sheetError) return sheetError.error;
+      }
       status = await putObjectWithVersion(env, daCtx, {
-        org, key, body, type,
+        org, key, body, type, meta: obj.meta, ...conditions,
       });
     }
   } else {
-    const { body, type } = getObjectBody({});
-    const inputConfig = {
-      org, key: propsKey, body, type,
-    };
-    inputs.push(buildInput(inputConfig));
+    // Only a missing marker is written, so the properties of the folder are kept
+    status = await createFolder(env, daCtx);
   }
 
-  for (const input of inputs) {
-    const command = new PutObjectCommand(input);
-    await client.send(command);
+  if (status === 412) {
+    const error = 'The source does not match the If-Match or If-None-Match header.';
+    return { body: JSON.stringify({ error }), status, contentType: 'application/json' };
   }
 
   const body = sourceRespObject(daCtx);
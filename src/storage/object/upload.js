@@ -0,0 +1,199 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  HeadObjectCommand,
+  ListMultipartUploadsCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  UploadPartCommand,
+} from '@aws-sdk/client-s3';
+
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import getS3Config from '../utils/config.js';
+import getObject from './get.js';
+import { copyObjectWithVersion } from '../version/put.js';
+import { sourceRespObject } from '../../helpers/source.js';
+import { checkContentType } from '../../utils/mime.js';
+import { checkSheet } from '../../utils/sheet.js';
+
+const UPLOAD_PREFIX = '.da-uploads';
+
+// Presigned URLs live an hour, like the ones of HEAD requests
+const EXPIRES_IN = 3600;
+
+// Enough of the upload to check its content against its type
+const SNIFF_RANGE = 'bytes=0-1023';
+
+// Uploads that are not finalized within a day are abandoned
+const ABANDONED_AFTER = 24 * 60 * 60 * 1000;
+
+// Multipart uploads aborted at once, each one takes a request
+const MAX_ABORTS = 20;
+
+function getStagedKey(id) {
+  return `${UPLOAD_PREFIX}/${id}`;
+}
+
+// Removes the staged files and multipart uploads of abandoned uploads, a page at a time
+async function purgeAbandonedUploads(client, Bucket) {
+  const before = Date.now() - ABANDONED_AFTER;
+  const Prefix = `${UPLOAD_PREFIX}/`;
+  try {
+    const { Contents = [] } = await client.send(new ListObjectsV2Command({ Bucket, Prefix }));
+    const Objects = Contents
+      .filter(({ LastModified }) => LastModified?.getTime() < before)
+      .map(({ Key }) => ({ Key }));
+    if (Objects.length) {
+      await client.send(new DeleteObjectsCommand({ Bucket, Delete: { Objects } }));
+    }
+
+    const { Uploads = [] } = await client.send(new ListMultipartUploadsCommand({ Bucket, Prefix }));
+    const abandoned = Uploads.filter(({ Initiated }) => Initiated?.getTime() < before);
+    await Promise.all(abandoned.slice(0, MAX_ABORTS).map(({ Key, UploadId }) => client.send(
+      new AbortMultipartUploadCommand({ Bucket, Key, UploadId }),
+    )));
+  } catch {
+    // Left for the next upload to clean up
+  }
+}
+
+/**
+ * Creates presigned URLs to upload a file to a staging key of the bucket.
+ * Large files can be uploaded in parts, each part getting its own URL.
+ * Uploads of the org abandoned for a day are removed.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} details the content type and number of parts of the upload
+ */
+export async function createUpload(env, daCtx, { type, parts }) {
+  const client = new S3Client(getS3Config(env));
+  const id = crypto.randomUUID();
+  const input = { Bucket: `${daCtx.org}-content`, Key: getStagedKey(id) };
+  const expires = new Date(Date.now() + EXPIRES_IN * 1000).toISOString();
+
+  // Starting an upload cleans up after the ones abandoned before
+  await purgeAbandonedUploads(client, input.Bucket);
+
+  if (!parts) {
+    const command = new PutObjectCommand({ ...input, ContentType: type });
+    const url = await getSignedUrl(client, command, { expiresIn: EXPIRES_IN });
+    const body = {
+      id, url, method: 'PUT', headers: { 'content-type': type }, expires,
+    };
+    return { body: JSON.stringify(body), status: 200, contentType: 'application/json' };
+  }
+
+  try {
+    const { UploadId } = await client.send(new CreateMultipartUploadCommand({
+      ...input, ContentType: type,
+    }));
+    const urls = await Promise.all([...Array(parts).keys()].map(async (idx) => {
+      const command = new UploadPartCommand({ ...input, UploadId, PartNumber: idx + 1 });
+      const url = await getSignedUrl(client, command, { expiresIn: EXPIRES_IN });
+      return { partNumber: idx + 1, url };
+    }));
+    const body = {
+      id, uploadId: UploadId, method: 'PUT', parts: urls, expires,
+    };
+    return { body: JSON.stringify(body), status: 200, contentType: 'application/json' };
+  } catch (e) {
+    return { body: '', status: e.$metadata?.httpStatusCode || 500 };
+  }
+}
+
+async function getStart(env, daCtx, key) {
+  const { body, contentType, status } = await getObject(env, { org: daCtx.org, key }, false, {
+    range: SNIFF_RANGE,
+  });
+  if (status !== 200 && status !== 206) return null;
+  return new Blob([await new Response(body).arrayBuffer()], { type: contentType });
+}
+
+async function getStaged(client, Bucket, Key) {
+  try {
+    const resp = await client.send(new HeadObjectCommand({ Bucket, Key }));
+    return { size: resp.ContentLength, type: resp.ContentType };
+  } catch (e) {
+    return { status: e.$metadata?.httpStatusCode || 404 };
+  }
+}
+
+// Sheets are checked as a whole, they are small enough to be read
+async function checkStagedSheet(env, daCtx, key) {
+  const staged = await getObject(env, { org: daCtx.org, key });
+  return checkSheet(await new Response(staged.body).text());
+}
+
+async function storeStaged(env, daCtx, Key, staged) {
+  // An empty file has no range to read
+  const start = staged.size ? await getStart(env, daCtx, Key) : new Blob([], { type: staged.type });
+  if (!start) return { body: JSON.stringify({ error: 'not found' }), status: 404 };
+
+  const { type, error } = await checkContentType(env, daCtx, start);
+  if (error) return error;
+  if (daCtx.ext === 'json') {
+    const { error: sheetError } = await checkStagedSheet(env, daCtx, Key);
+    if (sheetError) return sheetError;
+  }
+
+  const status = await copyObjectWithVersion(env, daCtx, {
+    org: daCtx.org, key: daCtx.key, source: Key, size: staged.size, type,
+  });
+  if (status !== 200 && status !== 201) return { body: '', status };
+
+  const body = sourceRespObject(daCtx);
+  return { body: JSON.stringify(body), status, contentType: 'application/json' };
+}
+
+/**
+ * Moves a finished upload from its staging key to the key of the context,
+ * checking its type and versioning it like any other source write.
+ * The upload is copied within the bucket, so it never passes through the worker.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} details the id, and the upload id and parts of a multipart upload
+ */
+export async function finalizeUpload(env, daCtx, { id, uploadId, parts }) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  const Key = getStagedKey(id);
+
+  if (uploadId) {
+    try {
+      await client.send(new CompleteMultipartUploadCommand({
+        Bucket, Key, UploadId: uploadId, MultipartUpload: { Parts: parts },
+      }));
+    } catch (e) {
+      const error = 'The parts could not be completed.';
+      return { body: JSON.stringify({ error }), status: e.$metadata?.httpStatusCode || 400 };
+    }
+  }
+
+  const staged = await getStaged(client, Bucket, Key);
+  if (staged.status) {
+    const error = staged.status === 404 ? 'not found' : 'The upload could not be read.';
+    return { body: JSON.stringify({ error }), status: staged.status };
+  }
+
+  try {
+    return await storeStaged(env, daCtx, Key, staged);
+  } finally {
+    // The staged upload is never used again, also when it was refused
+    await client.send(new DeleteObjectCommand({ Bucket, Key }));
+  }
+}
@@ -0,0 +1,35 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// KV does not accept a shorter expiration
+const MIN_TTL = 60;
+
+/**
+ * Creates a rate limit counter store backed by a KV namespace.
+ * The counts are approximate: KV has no atomic increment, is eventually consistent
+ * and takes one write per second to a key, so bursts are under counted.
+ * @param {Object} kv the KV namespace
+ * @returns {{increment: Function}} the store
+ */
+export default function createKvStore(kv) {
+  return {
+    async increment(key, ttl) {
+      const count = Number(await kv.get(`ratelimit-${key}`)) + 1;
+      try {
+        await kv.put(`ratelimit-${key}`, `${count}`, { expirationTtl: Math.max(ttl, MIN_TTL) });
+      } catch {
+        // Writes to a busy key are rejected, the count read is still the best estimate
+      }
+      return count;
+    },
+  };
+}
@@ -0,0 +1,32 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Creates a rate limit counter store kept in memory.
+ * Counters are per isolate, so this is meant for tests and local development.
+ * @returns {{increment: Function}} the store
+ */
+export default function createMemoryStore() {
+  const counters = new Map();
+  return {
+    async increment(key, ttl) {
+      const now = Date.now();
+      const counter = counters.get(key);
+      if (!counter || counter.expires <= now) {
+        counters.set(key, { count: 1, expires: now + ttl * 1000 });
+        return 1;
+      }
+      counter.count += 1;
+      return counter.count;
+    },
+  };
+}
@@ -0,0 +1,76 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  GetObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+import { getTrashEntryKey, getTrashRetention, TRASH_PREFIX } from '../utils/trash.js';
+
+/**
+ * Get the record of a trash entry.
+ * @returns {Promise<Object>} the entry, undefined if it doesn't exist
+ */
+export async function getTrashEntry(client, Bucket, id) {
+  try {
+    const resp = await client.send(new GetObjectCommand({ Bucket, Key: getTrashEntryKey(id) }));
+    return JSON.parse(await resp.Body.transformToString());
+  } catch (e) {
+    if (e.$metadata?.httpStatusCode === 404) return undefined;
+    throw e;
+  }
+}
+
+/**
+ * Get the records of all trash entries, oldest first.
+ */
+export async function listTrashEntries(client, Bucket) {
+  const ids = [];
+  let ContinuationToken;
+  do {
+    const input = {
+      Bucket, Prefix: `${TRASH_PREFIX}/`, Delimiter: '/', ContinuationToken,
+    };
+    const command = new ListObjectsV2Command(input);
+    const { Contents = [], NextContinuationToken } = await client.send(command);
+    ids.push(...Contents.map(({ Key }) => Key.split('/').pop().replace(/\.json$/, '')));
+    ContinuationToken = NextContinuationToken;
+  } while (ContinuationToken);
+
+  const entries = await Promise.all(ids.sort().map((id) => getTrashEntry(client, Bucket, id)));
+  return entries.filter((entry) => entry);
+}
+
+/**
+ * Lists the trash of an org, newest first.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ */
+export default async function listTrash(env, daCtx) {
+  const client = new S3Client(getS3Config(env));
+  const props = await env.DA_CONFIG.get(daCtx.org, { type: 'json' });
+  const retention = getTrashRetention(env, props);
+
+  try {
+    const entries = await listTrashEntries(client, `${daCtx.org}-content`);
+    const body = entries.reverse().map(({
+      id, key, users, deleted, keys,
+    }) => ({
+      id, key, users, deleted, expires: deleted + retention, count: keys.length,
+    }));
+    return { body: JSON.stringify(body), status: 200, contentType: 'application/json' };
+  } catch (e) {
+    return { body: '', status: 404 };
+  }
+}
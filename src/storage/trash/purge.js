@@ -0,0 +1,67 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  DeleteObjectCommand,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+import { getTrashEntryKey, getTrashKey, getTrashRetention } from '../utils/trash.js';
+import { getTrashEntry, listTrashEntries } from './list.js';
+
+/**
+ * Removes the objects and the record of a trash entry for good.
+ */
+export async function removeTrashEntry(client, Bucket, entry) {
+  const keys = [...entry.keys.map((key) => getTrashKey(entry.id, key)), getTrashEntryKey(entry.id)];
+  await Promise.all(keys.map((Key) => client.send(new DeleteObjectCommand({ Bucket, Key }))));
+}
+
+/**
+ * Purges one entry from the trash of an org.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {String} id the id of the entry
+ */
+export async function purgeTrashEntry(env, daCtx, id) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  try {
+    const entry = await getTrashEntry(client, Bucket, id);
+    if (!entry) return { body: '', status: 404 };
+    await removeTrashEntry(client, Bucket, entry);
+    return { status: 204 };
+  } catch (e) {
+    return { body: '', status: e.$metadata?.httpStatusCode || 500 };
+  }
+}
+
+/**
+ * Purges the entries that are older than the retention of the org.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ */
+export async function purgeExpiredTrash(env, daCtx) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  const props = await env.DA_CONFIG.get(daCtx.org, { type: 'json' });
+  const expired = Date.now() - getTrashRetention(env, props);
+  try {
+    const entries = (await listTrashEntries(client, Bucket))
+      .filter(({ deleted }) => deleted < expired);
+    await Promise.all(entries.map((entry) => removeTrashEntry(client, Bucket, entry)));
+    const body = JSON.stringify({ purged: entries.map(({ id }) => id) });
+    return { body, status: 200, contentType: 'application/json' };
+  } catch (e) {
+    return { body: '', status: e.$metadata?.httpStatusCode || 500 };
+  }
+}
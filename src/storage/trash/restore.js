@@ -0,0 +1,70 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import {
+  S3Client,
+  CopyObjectCommand,
+  HeadObjectCommand,
+} from '@aws-sdk/client-s3';
+
+import getS3Config from '../utils/config.js';
+import { invalidateCollab } from '../utils/object.js';
+import { getTrashKey } from '../utils/trash.js';
+import { getTrashEntry } from './list.js';
+import { removeTrashEntry } from './purge.js';
+
+async function exists(client, Bucket, Key) {
+  try {
+    await client.send(new HeadObjectCommand({ Bucket, Key }));
+    return true;
+  } catch (e) {
+    if (e.$metadata?.httpStatusCode === 404) return false;
+    throw e;
+  }
+}
+
+/**
+ * Restores the objects of a trash entry to where they were deleted from.
+ * Nothing is restored when any of them would overwrite what is there now.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {String} id the id of the entry
+ */
+export default async function restoreTrashEntry(env, daCtx, id) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${daCtx.org}-content`;
+  try {
+    const entry = await getTrashEntry(client, Bucket, id);
+    if (!entry) return { body: '', status: 404 };
+
+    const found = await Promise.all(entry.keys.map((key) => exists(client, Bucket, key)));
+    const conflicts = entry.keys.filter((key, idx) => found[idx]);
+    if (conflicts.length) {
+      const body = JSON.stringify({ error: 'Restoring would overwrite existing objects.', conflicts });
+      return { body, status: 409, contentType: 'application/json' };
+    }
+
+    // Copies keep the metadata, so a restored document keeps its versions
+    await Promise.all(entry.keys.map(async (Key) => {
+      const CopySource = `${Bucket}/${getTrashKey(id, Key)}`;
+      await client.send(new CopyObjectCommand({ Bucket, Key, CopySource }));
+      if (Key.endsWith('.html')) {
+        await invalidateCollab('syncadmin', `${daCtx.origin}/source/${daCtx.org}/${Key}`, env);
+      }
+    }));
+    await removeTrashEntry(client, Bucket, entry);
+
+    const body = JSON.stringify({ key: entry.key, keys: entry.keys });
+    return { body, status: 200, contentType: 'application/json' };
+  } catch (e) {
+    return { body: '', status: e.$metadata?.httpStatusCode || 500 };
+  }
+}
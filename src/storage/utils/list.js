@@ -50,9 +50,9 @@ export default function formatList(resp, daCtx) {
       // Do not show any props sidecar files
       if (props) return;
 
-      // See if the folder is already in the list
+      // See if the folder is already in the list, a file of the same name is not the folder
       if (ext === 'props') {
-        if (combined.some((item) => item.name === name)) return;
+        if (combined.some((item) => item.name === name && !item.ext)) return;
 
         // Remove props from the key so it can look like a folder
         // eslint-disable-next-line no-param-reassign
@@ -90,8 +90,9 @@ function buildInput(org, key) {
  * @return {Promise<{sourceKeys: String[], continuationToken: String}>}
  */
 export async function listCommand(daCtx, details, s3client) {
-  // There's no need to use the list command if the item has an extension
-  if (daCtx.ext) return { sourceKeys: [daCtx.key] };
+  // There's no need to use the list command if the item has an extension,
+  // its properties sidecar goes with it (not guaranteed to exist)
+  if (daCtx.ext) return { sourceKeys: [daCtx.key, `${daCtx.key}.props`] };
 
   const input = buildInput(daCtx.org, daCtx.key);
   const { continuationToken } = details;
@@ -0,0 +1,50 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getConfigValue } from '../../utils/config.js';
+
+export const TRASH_PREFIX = '.da-trash';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION = 30;
+
+/**
+ * Get a new trash entry id. Ids start with the time, so they sort oldest first.
+ * @returns {String} the id
+ */
+export function getTrashId() {
+  return `${Date.now()}-${crypto.randomUUID()}`;
+}
+
+export function isTrashId(id) {
+  return /^\d+-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id);
+}
+
+// The objects of an entry are kept under their original key, next to the entry record
+export function getTrashKey(id, key) {
+  return `${TRASH_PREFIX}/${id}/${key}`;
+}
+
+export function getTrashEntryKey(id) {
+  return `${TRASH_PREFIX}/${id}.json`;
+}
+
+/**
+ * Get how long deleted objects are kept in the trash.
+ * The trash.retention key of the org config wins over TRASH_RETENTION_DAYS.
+ * @param {Object} env the cloud provider environment
+ * @param {Object} props the org config
+ * @returns {Number} the retention in ms
+ */
+export function getTrashRetention(env, props) {
+  const days = Number(getConfigValue(props, 'trash.retention') ?? env.TRASH_RETENTION_DAYS);
+  return (days > 0 ? days : DEFAULT_RETENTION) * DAY;
+}
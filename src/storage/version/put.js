@@ -11,7 +11,13 @@
  */
 import {
   S3Client,
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  HeadObjectCommand,
   PutObjectCommand,
+  UploadPartCopyCommand,
 } from '@aws-sdk/client-s3';
 
 import getS3Config from '../utils/config.js';
@@ -19,6 +25,8 @@ import {
   createBucketIfMissing, ifMatch, ifNoneMatch,
 } from '../utils/version.js';
 import getObject from '../object/get.js';
+import { etagMatches } from '../../utils/etag.js';
+import { fromS3Meta, toS3Meta } from '../../utils/meta.js';
 
 export function getContentLength(body) {
   if (body === undefined) {
@@ -76,13 +84,23 @@ export async function putObjectWithVersion(env, daCtx, update, body) {
   const input = buildInput(update);
   const Timestamp = `${Date.now()}`;
   const Path = update.key;
+  // Custom metadata is kept until a write sends a new value
+  const currentMeta = fromS3Meta(current.metadata);
+  const Meta = toS3Meta({ ...currentMeta, ...update.meta });
+
+  // Conditions of the client, so it does not overwrite a save it has not seen
+  const exists = current.status !== 404;
+  if (update.ifMatch && !(exists && etagMatches(update.ifMatch, current.etag))) return 412;
+  if (update.ifNoneMatch && exists && etagMatches(update.ifNoneMatch, current.etag, true)) {
+    return 412;
+  }
 
   if (current.status === 404) {
     const client = ifNoneMatch(config);
     const command = new PutObjectCommand({
       ...input,
       Metadata: {
-        ID, Version, Users, Timestamp, Path,
+        ID, Version, Users, Timestamp, Path, ...Meta,
       },
     });
     try {
@@ -115,6 +133,7 @@ export async function putObjectWithVersion(env, daCtx, update, body) {
       Timestamp: current.metadata?.timestamp || Timestamp,
       Path: current.metadata?.path || Path,
       Label,
+      ...toS3Meta(currentMeta),
     },
   });
 
@@ -126,7 +145,7 @@ export async function putObjectWithVersion(env, daCtx, update, body) {
   const command = new PutObjectCommand({
     ...input,
     Metadata: {
-      ID, Version: crypto.randomUUID(), Users, Timestamp, Path, Preparsingstore,
+      ID, Version: crypto.randomUUID(), Users, Timestamp, Path, Preparsingstore, ...Meta,
     },
   });
   try {
@@ -141,6 +160,109 @@ export async function putObjectWithVersion(env, daCtx, update, body) {
   }
 }
 
+// S3 copies objects of up to 5 GB at once, larger ones in parts of up to 5 GB
+const MAX_COPY_SIZE = 5 * 1024 ** 3;
+
+async function copyLargeObject(client, input, size) {
+  if (size <= MAX_COPY_SIZE) {
+    return client.send(new CopyObjectCommand({ ...input, MetadataDirective: 'REPLACE' }));
+  }
+
+  const {
+    Bucket, Key, CopySource, ContentType, Metadata,
+  } = input;
+  const { UploadId } = await client.send(new CreateMultipartUploadCommand({
+    Bucket, Key, ContentType, Metadata,
+  }));
+  try {
+    const ranges = [...Array(Math.ceil(size / MAX_COPY_SIZE)).keys()].map((idx) => {
+      const start = idx * MAX_COPY_SIZE;
+      return `bytes=${start}-${Math.min(start + MAX_COPY_SIZE, size) - 1}`;
+    });
+    const Parts = await Promise.all(ranges.map(async (CopySourceRange, idx) => {
+      const { CopyPartResult } = await client.send(new UploadPartCopyCommand({
+        Bucket, Key, UploadId, PartNumber: idx + 1, CopySource, CopySourceRange,
+      }));
+      return { PartNumber: idx + 1, ETag: CopyPartResult.ETag };
+    }));
+    return await client.send(new CompleteMultipartUploadCommand({
+      Bucket, Key, UploadId, MultipartUpload: { Parts },
+    }));
+  } catch (e) {
+    await client.send(new AbortMultipartUploadCommand({ Bucket, Key, UploadId }));
+    throw e;
+  }
+}
+
+async function headObject(client, Bucket, Key) {
+  try {
+    const resp = await client.send(new HeadObjectCommand({ Bucket, Key }));
+    return {
+      metadata: resp.Metadata || {}, contentType: resp.ContentType, size: resp.ContentLength,
+    };
+  } catch (e) {
+    if (e.$metadata?.httpStatusCode === 404) return undefined;
+    throw e;
+  }
+}
+
+/**
+ * Copies an object of the bucket to a document, within the bucket so its content never
+ * passes through the worker. The document gets the metadata and versioning of
+ * putObjectWithVersion: the current document is kept as a version.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} update the org, key, source key, size and type of the copy
+ * @returns {Promise<Number>} the status, 201 if the document was created
+ */
+export async function copyObjectWithVersion(env, daCtx, {
+  org, key, source, size, type,
+}) {
+  const client = new S3Client(getS3Config(env));
+  const Bucket = `${org}-content`;
+  const Timestamp = `${Date.now()}`;
+
+  try {
+    const current = await headObject(client, Bucket, key);
+    const metadata = current?.metadata || {};
+    const ID = metadata.id || crypto.randomUUID();
+    const Meta = toS3Meta(fromS3Meta(metadata));
+
+    if (current) {
+      await copyLargeObject(client, {
+        Bucket,
+        Key: `.da-versions/${ID}/${metadata.version || crypto.randomUUID()}.${daCtx.ext}`,
+        CopySource: `${Bucket}/${key}`,
+        ContentType: current.contentType,
+        Metadata: {
+          Users: metadata.users || JSON.stringify([{ email: 'anonymous' }]),
+          Timestamp: metadata.timestamp || Timestamp,
+          Path: metadata.path || key,
+          ...Meta,
+        },
+      }, current.size);
+    }
+
+    await copyLargeObject(client, {
+      Bucket,
+      Key: key,
+      CopySource: `${Bucket}/${source}`,
+      ContentType: type,
+      Metadata: {
+        ID,
+        Version: crypto.randomUUID(),
+        Users: JSON.stringify(daCtx.users),
+        Timestamp,
+        Path: key,
+        ...Meta,
+      },
+    }, size);
+    return current ? 200 : 201;
+  } catch (e) {
+    return e.$metadata?.httpStatusCode || 500;
+  }
+}
+
 export async function postObjectVersionWithLabel(label, env, daCtx) {
   const { body, contentLength, contentType } = await getObject(env, daCtx);
   const { org, key } = daCtx;
@@ -9,7 +9,79 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
-import { decodeJwt } from 'jose';
+import { createLocalJWKSet, jwtVerify } from 'jose';
+import { API_KEY_PREFIX, getApiKeyUser } from '../storage/kv/apikeys.js';
+import {
+  getSession, isRevoked, isRevokedInOrg, putSession,
+} from '../storage/kv/sessions.js';
+import { getConfigRows } from './config.js';
+
+const JWKS_KEY = 'ims-jwks';
+const JWKS_TTL = 60 * 60 * 24;
+const DEFAULT_CLOCK_TOLERANCE = 60;
+
+// Allowed clock skew in seconds
+function getClockTolerance(env) {
+  return Number(env.IMS_CLOCK_TOLERANCE ?? DEFAULT_CLOCK_TOLERANCE);
+}
+
+/**
+ * Get the JSON Web Key Set used to verify IMS tokens.
+ * Keys set inline (IMS_JWKS) win over the ones cached in DA_AUTH,
+ * which are fetched from IMS and cached for a day when missing.
+ * @param {Object} env the cloud provider environment
+ * @param {Boolean} refresh whether to fetch the keys even if they are cached
+ * @returns {Promise<Object>} the key set, null if it cannot be found
+ */
+export async function getJwks(env, refresh = false) {
+  if (env.IMS_JWKS) {
+    return typeof env.IMS_JWKS === 'string' ? JSON.parse(env.IMS_JWKS) : env.IMS_JWKS;
+  }
+
+  if (!refresh) {
+    const cached = await env.DA_AUTH.get(JWKS_KEY, { type: 'json' });
+    if (cached) return cached;
+  }
+
+  const resp = await fetch(`${env.IMS_ORIGIN}/ims/keys`);
+  if (!resp.ok) return null;
+  const jwks = await resp.json();
+  await env.DA_AUTH.put(JWKS_KEY, JSON.stringify(jwks), { expirationTtl: JWKS_TTL });
+  return jwks;
+}
+
+/**
+ * Verify the signature and the registered claims of a token.
+ * Issuer and audience are only checked when configured (IMS_ISSUER, IMS_AUDIENCE).
+ * @param {String} token the token to verify
+ * @param {Object} env the cloud provider environment
+ * @returns {Promise<Object>} the payload of the token, null if it is not valid
+ */
+export async function verifyToken(token, env) {
+  const options = { clockTolerance: getClockTolerance(env) };
+  if (env.IMS_ISSUER) options.issuer = env.IMS_ISSUER;
+  if (env.IMS_AUDIENCE) options.audience = env.IMS_AUDIENCE;
+
+  const verify = async (jwks) => {
+    const { payload } = await jwtVerify(token, createLocalJWKSet(jwks), options);
+    return payload;
+  };
+
+  try {
+    const jwks = await getJwks(env);
+    if (!jwks) return null;
+    try {
+      return await verify(jwks);
+    } catch (e) {
+      // IMS may have rotated its keys since they were cached, so fetch them once more
+      if (e.code !== 'ERR_JWKS_NO_MATCHING_KEY' || env.IMS_JWKS) throw e;
+      const fetched = await getJwks(env, true);
+      return fetched ? await verify(fetched) : null;
+    }
+  } catch {
+    return null;
+  }
+}
 
 export async function setUser(userId, expiration, headers, env) {
   const resp = await fetch(`${env.IMS_ORIGIN}/ims/profile/v1`, { headers });
@@ -21,30 +93,74 @@ export async function setUser(userId, expiration, headers, env) {
   const json = await resp.json();
 
   const value = JSON.stringify({ email: json.email });
-  await env.DA_AUTH.put(userId, value, { expiration });
+  await putSession(env, userId, value, expiration);
   return value;
 }
 
-export async function getUsers(req, env) {
+function getTokens(authHeader) {
+  return authHeader.split(',').map((auth) => auth.split(' ').pop());
+}
+
+/**
+ * Get the verified, unexpired and unrevoked IMS sessions of a request.
+ * @param {Request} req the request
+ * @param {Object} env the cloud provider environment
+ * @returns {Promise<Object[]>} the user id, created and expires of each session
+ */
+export async function getSessions(req, env) {
+  const authHeader = req.headers?.get('authorization');
+  if (!authHeader) return [];
+
+  const sessions = await Promise.all(getTokens(authHeader).map(async (token) => {
+    if (!token || token.trim().length === 0 || token.startsWith(API_KEY_PREFIX)) return null;
+
+    // Never trust the claims (nor the cached session) of a token that isn't signed by IMS
+    const payload = await verifyToken(token, env);
+    if (!payload) return null;
+
+    // IMS gives created_at and expires_in in milliseconds
+    const { user_id: userId, created_at: createdAt, expires_in: expiresIn } = payload;
+    const expires = Number(createdAt) + Number(expiresIn);
+
+    if (expires + getClockTolerance(env) * 1000 < Date.now()) return null;
+    if (await isRevoked(env, userId, createdAt)) return null;
+    return {
+      token, userId, createdAt, expires,
+    };
+  }));
+  return sessions.filter((session) => session);
+}
+
+/**
+ * Get the users of a request, one for each token of its authorization header.
+ * @param {Request} req the request
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org of the request, to refuse users whose access to it was revoked
+ * @returns {Promise<Object[]>} the users, anonymous for tokens that aren't valid
+ */
+export async function getUsers(req, env, org) {
   const authHeader = req.headers?.get('authorization');
   if (!authHeader) return [{ email: 'anonymous' }];
 
   async function parseUser(token) {
     if (!token || token.trim().length === 0) return { email: 'anonymous' };
 
-    const { user_id: userId, created_at: createdAt, expires_in: expiresIn } = decodeJwt(token);
-    const expires = Number(createdAt) + Number(expiresIn);
-    const now = Math.floor(new Date().getTime() / 1000);
+    // API keys resolve to a synthetic user scoped to their org
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return (await getApiKeyUser(token, env)) || { email: 'anonymous' };
+    }
+
+    const headers = new Headers(req.headers);
+    headers.set('authorization', `Bearer ${token}`);
+    const [session] = await getSessions({ headers }, env);
+    if (!session) return { email: 'anonymous' };
 
-    if (expires < now) return { email: 'anonymous' };
+    const { userId, createdAt, expires } = session;
     // Find the user in recent sessions
-    let user = await env.DA_AUTH.get(userId);
+    let user = await getSession(env, userId);
 
     // If not found, add them to recent sessions
     if (!user) {
-      const headers = new Headers(req.headers);
-      headers.delete('authorization');
-      headers.set('authorization', `Bearer ${token}`);
       // If not found, create them
       user = await setUser(userId, Math.floor(expires / 1000), headers, env);
     }
@@ -52,33 +168,284 @@ export async function getUsers(req, env) {
     // If there's still no user, make them anon.
     if (!user) return { email: 'anonymous' };
 
+    // The admins of an org can revoke the access of a member to their org only
+    const parsed = JSON.parse(user);
+    if (org && await isRevokedInOrg(env, org, parsed.email, createdAt)) return { email: 'anonymous' };
+
     // Finally, return whoever was made.
-    return JSON.parse(user);
+    return parsed;
   }
 
-  return Promise.all(
-    authHeader.split(',')
-      .map((auth) => auth.split(' ').pop())
-      .map(parseUser),
-  );
+  return Promise.all(getTokens(authHeader).map(parseUser));
+}
+
+/**
+ * Converts a path glob into a regular expression.
+ * A single star matches within one path segment, a double star matches any depth.
+ * A trailing double star also matches the folder itself (/site/drafts/** matches /site/drafts).
+ * @param {String} glob the path glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const segments = glob.toLowerCase().trim().split('/').filter((segment) => segment);
+  const pattern = segments.map((segment) => {
+    if (segment === '**') return '(/.*)?';
+    const escaped = segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+    return `/${escaped}`;
+  }).join('');
+  return new RegExp(`^${pattern || '/'}$`);
+}
+
+function splitList(value) {
+  if (!value) return [];
+  return `${value}`.split(',').map((entry) => entry.trim().toLowerCase()).filter((entry) => entry);
+}
+
+/**
+ * The operations exposed by the worker, each one including the ones before it.
+ */
+export const OPERATIONS = ['read', 'write', 'delete', 'admin'];
+
+/**
+ * The roles that can be assigned in the org config and the highest operation they grant.
+ */
+export const ROLES = {
+  reader: 'read',
+  author: 'write',
+  publisher: 'delete',
+  admin: 'admin',
+};
+
+function grants(granted, operation) {
+  return OPERATIONS.indexOf(granted) >= OPERATIONS.indexOf(operation);
+}
+
+/**
+ * Get the least privileged role that grants an operation.
+ * @param {String} operation the operation
+ * @returns {String} the name of the role
+ */
+export function getRequiredRole(operation) {
+  return Object.keys(ROLES).find((role) => grants(ROLES[role], operation));
 }
 
-export async function isAuthorized(env, org, user) {
+/**
+ * Get a forbidden response for an operation the users lack the role for.
+ * @param {String} operation the operation
+ * @returns {Object} the response object
+ */
+export function getForbidden(operation) {
+  const requiredRole = getRequiredRole(operation);
+  const body = JSON.stringify({ error: `The ${requiredRole} role is required.`, requiredRole });
+  return { body, status: 403 };
+}
+
+function parseConfig(props, base = '') {
+  const rows = getConfigRows(props);
+  const permissions = getConfigRows(props, 'permissions');
+
+  let inherit = 'all';
+  const roles = Object.keys(ROLES).reduce((acc, role) => ({ ...acc, [role]: [] }), {});
+  rows.forEach((data) => {
+    if (data.key === 'permissions.inherit') inherit = `${data.value}`.trim().toLowerCase();
+    const [role, type, scope] = `${data.key}`.split('.');
+    if (type === 'role' && scope === 'all' && roles[role]) roles[role].push(...splitList(data.value));
+  });
+
+  const rules = permissions.filter((row) => row.path).map((row) => ({
+    path: `${base}${row.path.startsWith('/') ? '' : '/'}${row.path}`,
+    read: splitList(row.read),
+    write: splitList(row.write),
+    delete: splitList(row.delete),
+  })).map((rule) => ({ ...rule, regex: globToRegExp(rule.path) }));
+
+  return { roles, rules, inherit };
+}
+
+/**
+ * Get the access control list of an org, or of a site of an org.
+ * Roles come from the <role>.role.all entries of the main sheet (e.g. admin.role.all).
+ * Path rules come from the optional permissions sheet of a multi-sheet config,
+ * each row holding a path glob and comma separated read, write and delete lists.
+ *
+ * The config of a site (org/site) is merged into the one of its org:
+ * - its roles are added to the roles of the org
+ * - its path rules are relative to the site and added to the rules of the org
+ * - when it has permissions.inherit set to admins, only the org admins are kept
+ *
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org to get the acl for
+ * @param {String} site the site to get the acl for (optional)
+ * @returns {Promise<{roles: Object, rules: Object[]}>} null if neither is protected
+ */
+export async function getAcl(env, org, site) {
+  const props = await env.DA_CONFIG.get(org, { type: 'json' });
+  const siteProps = site ? await env.DA_CONFIG.get(`${org}/${site}`, { type: 'json' }) : null;
+  if (!props && !siteProps) return null;
+
+  const orgAcl = parseConfig(props);
+  if (!siteProps) return { roles: orgAcl.roles, rules: orgAcl.rules };
+
+  const siteAcl = parseConfig(siteProps, `/${site}`);
+  const onlyAdmins = siteAcl.inherit === 'admins';
+  const roles = Object.keys(ROLES).reduce((acc, role) => {
+    const inherited = onlyAdmins && role !== 'admin' ? [] : orgAcl.roles[role];
+    return { ...acc, [role]: [...inherited, ...siteAcl.roles[role]] };
+  }, {});
+  const rules = [...(onlyAdmins ? [] : orgAcl.rules), ...siteAcl.rules];
+
+  return { roles, rules };
+}
+
+/**
+ * Get the emails of all users having a role or path permission in an acl.
+ * @param {Object} acl the acl as returned by getAcl
+ * @returns {String[]} the lower cased emails
+ */
+export function getMembers(acl) {
+  if (!acl) return [];
+  const members = [
+    ...Object.values(acl.roles).flat(),
+    ...acl.rules.flatMap((rule) => [...rule.read, ...rule.write, ...rule.delete]),
+  ];
+  return [...new Set(members)];
+}
+
+/**
+ * Get the highest operation a user is granted on a path given an acl.
+ * @param {Object} acl the acl as returned by getAcl
+ * @param {Object} user the user to check
+ * @param {String} path the path to check (relative to the org), omit for any path of the org
+ * @returns {String} the operation, undefined if the user has no access at all
+ */
+export function getGrantedOperation(acl, user, path) {
+  if (!acl) return 'admin';
+
+  const email = user.email.toLowerCase();
+  const granted = [];
+
+  Object.keys(ROLES).forEach((role) => {
+    if (acl.roles[role].includes(email)) granted.push(ROLES[role]);
+  });
+
+  acl.rules.forEach((rule) => {
+    if (path !== undefined && !rule.regex.test(path)) return;
+    ['read', 'write', 'delete'].forEach((operation) => {
+      if (rule[operation].includes(email)) granted.push(operation);
+    });
+  });
+
+  return OPERATIONS.filter((operation) => granted.includes(operation)).pop();
+}
+
+/**
+ * Check if a user may perform an operation on a path given an acl.
+ * @param {Object} acl the acl as returned by getAcl
+ * @param {Object} user the user to check
+ * @param {String} path the path to check (relative to the org), omit for any access to the org
+ * @param {String} operation one of OPERATIONS
+ * @returns {Boolean}
+ */
+export function hasAccess(acl, user, path, operation = 'read') {
+  const granted = getGrantedOperation(acl, user, path);
+  return !!granted && grants(granted, operation);
+}
+
+/**
+ * Check if the org of an API key is protected and its creators are admins of the org.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {String[]} emails the emails of the creators
+ * @returns {Promise<Boolean>}
+ */
+export async function isOrgAdmin(env, org, emails) {
+  const acl = await getAcl(env, org);
+  if (!acl || !emails?.length || emails.includes('anonymous')) return false;
+  return emails.every((email) => acl.roles.admin.includes(email.toLowerCase()));
+}
+
+// A key stops working once its org is unprotected or its creators are no longer admins
+function isApiKeyTrusted(env, apiKey) {
+  return isOrgAdmin(env, apiKey.org, apiKey.createdBy);
+}
+
+/**
+ * Check if an API key is scoped to an operation on a path of an org.
+ * @param {Object} apiKey the scope of the key
+ * @param {String} org the org of the request
+ * @param {String} path the path to check, omit for any access to the org
+ * @param {String} operation one of OPERATIONS
+ * @returns {Boolean}
+ */
+export function hasApiKeyAccess(apiKey, org, path, operation = 'read') {
+  if (apiKey.org !== org) return false;
+  if (!apiKey.operations.some((granted) => grants(granted, operation))) return false;
+  if (path === undefined) return true;
+  return apiKey.paths.some((prefix) => globToRegExp(`${prefix}/**`).test(path));
+}
+
+/**
+ * Check if a share link grants an operation on a path.
+ * Share links only grant reading the key they were made for.
+ * @param {Object} share the org and key of the link
+ * @param {String} org the org of the request
+ * @param {String} path the path to check
+ * @param {String} operation one of OPERATIONS
+ * @returns {Boolean}
+ */
+export function hasShareAccess(share, org, path, operation = 'read') {
+  return share.org === org && `/${share.key}` === path && operation === 'read';
+}
+
+// The site is the first part of a path relative to the org
+function getSite(path) {
+  return path?.split('/').find((part) => part);
+}
+
+export async function isAuthorized(env, org, user, path, operation) {
   if (!org) return true;
+  if (user.apiKey) {
+    return hasApiKeyAccess(user.apiKey, org, path, operation) && isApiKeyTrusted(env, user.apiKey);
+  }
+  if (user.share) return hasShareAccess(user.share, org, path, operation);
 
-  let props = await env.DA_CONFIG.get(org, { type: 'json' });
-  if (!props) return true;
+  const acl = await getAcl(env, org, getSite(path));
+  return hasAccess(acl, user, path, operation);
+}
 
-  // When the data is a multi-sheet, it's one level deeper
-  if (props[':type'] === 'multi-sheet') {
-    props = props.data;
+/**
+ * Get the operations a user may perform on a path of an org.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {Object} user the user to check
+ * @param {String} path the path to check (relative to the org)
+ * @returns {Promise<String[]>} the operations, in the order of OPERATIONS
+ */
+export async function getAuthorizedOperations(env, org, user, path) {
+  if (!org) return [...OPERATIONS];
+  if (user.apiKey) {
+    if (!await isApiKeyTrusted(env, user.apiKey)) return [];
+    return OPERATIONS.filter((operation) => hasApiKeyAccess(user.apiKey, org, path, operation));
+  }
+  if (user.share) {
+    return OPERATIONS.filter((operation) => hasShareAccess(user.share, org, path, operation));
   }
 
-  const admins = props.data.reduce((acc, data) => {
-    if (data.key === 'admin.role.all') acc.push(data.value);
-    return acc;
-  }, []);
+  const acl = await getAcl(env, org, getSite(path));
+  return OPERATIONS.filter((operation) => hasAccess(acl, user, path, operation));
+}
 
-  if (!admins) return true;
-  return admins.some((admin) => admin.toLowerCase() === user.email.toLowerCase());
+/**
+ * Check if all users of the context may perform an operation on a key of the org.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {String} key the key to check
+ * @param {String} operation one of OPERATIONS
+ * @returns {Promise<Boolean>}
+ */
+export async function isKeyAuthorized(env, daCtx, key, operation) {
+  const authed = await Promise.all(
+    daCtx.users.map((user) => isAuthorized(env, daCtx.org, user, `/${key}`, operation)),
+  );
+  return authed.every((result) => result);
 }
@@ -0,0 +1,33 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Get the rows of a sheet of a config.
+ * @param {Object} props the config as stored in DA_CONFIG
+ * @param {String} name the name of the sheet, the main sheet is data
+ * @returns {Object[]} the rows, empty if the sheet doesn't exist
+ */
+export function getConfigRows(props, name = 'data') {
+  // When the data is a multi-sheet, it's one level deeper
+  if (props?.[':type'] === 'multi-sheet') return props[name]?.data || [];
+  return (name === 'data' && props?.data) || [];
+}
+
+/**
+ * Get the value of a key of the main sheet of a config.
+ * @param {Object} props the config as stored in DA_CONFIG
+ * @param {String} key the key
+ * @returns {String} the value, undefined if the key isn't set
+ */
+export function getConfigValue(props, key) {
+  return getConfigRows(props).find((row) => row.key === key)?.value;
+}
@@ -9,6 +9,12 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+// Internal folders of the org buckets, not to be served as source
+export const HIDDEN_PREFIXES = ['.da-versions', '.da-audit', '.da-uploads', '.da-trash'];
+
+// Reads are authorized, so clients must not share them and have to revalidate
+export const CACHE_CONTROL = 'private, no-cache';
+
 export const FORM_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded'];
 
 export const SUPPORTED_TYPES = [
@@ -20,3 +26,15 @@ export const SUPPORTED_TYPES = [
   'image/svg+xml',
   'video/mp4',
 ];
+
+// The content type each extension of the supported types must be uploaded with
+export const EXTENSION_TYPES = {
+  html: 'text/html',
+  json: 'application/json',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4',
+};
@@ -0,0 +1,96 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getConfigValue } from './config.js';
+import { getPathname } from './daCtx.js';
+
+const DEFAULT_METHODS = 'HEAD, GET, PUT, POST, PATCH, DELETE';
+
+// Response headers scripts need to read that are not safelisted
+const EXPOSE_HEADERS = 'ETag, Retry-After, Content-Range, Accept-Ranges, X-DA-Lock-Owner, X-DA-Lock-Expires';
+
+// Orgs without a CORS policy allow any origin
+export const DEFAULT_CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': DEFAULT_METHODS,
+  'Access-Control-Allow-Headers': '*',
+  'Access-Control-Expose-Headers': EXPOSE_HEADERS,
+};
+
+function splitList(value) {
+  if (!value) return [];
+  return `${value}`.split(',').map((entry) => entry.trim()).filter((entry) => entry);
+}
+
+// Origins can use a star as wildcard, e.g. https://*--site--org.hlx.page
+function originMatches(pattern, origin) {
+  if (pattern === '*') return true;
+  const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`).test(origin.toLowerCase());
+}
+
+function getOrg(req) {
+  if (!req.url) return undefined;
+  return getPathname(req).split('/')[2]?.toLowerCase() || undefined;
+}
+
+/**
+ * Get the CORS policy of an org from the cors.* keys of its config.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @returns {Promise<Object>} the policy, null if the org has none
+ */
+export async function getCorsPolicy(env, org) {
+  if (!org) return null;
+  const props = await env.DA_CONFIG.get(org, { type: 'json' });
+  const origins = splitList(getConfigValue(props, 'cors.origins'));
+  if (!origins.length) return null;
+
+  return {
+    origins,
+    methods: splitList(getConfigValue(props, 'cors.methods')),
+    headers: splitList(getConfigValue(props, 'cors.headers')),
+    credentials: `${getConfigValue(props, 'cors.credentials')}`.toLowerCase() === 'true',
+  };
+}
+
+/**
+ * Get the CORS headers of the response to a request.
+ * The origin of the request is only echoed when the policy of the org allows it.
+ * @param {Request} req the request
+ * @param {Object} env the cloud provider environment
+ * @returns {Promise<Object>} the headers
+ */
+export async function getCorsHeaders(req, env) {
+  const policy = await getCorsPolicy(env, getOrg(req));
+  if (!policy) return DEFAULT_CORS;
+
+  const headers = { Vary: 'Origin' };
+  const origin = req.headers?.get('origin');
+  if (!origin || !policy.origins.some((pattern) => originMatches(pattern, origin))) return headers;
+
+  headers['Access-Control-Allow-Origin'] = origin;
+  headers['Access-Control-Allow-Methods'] = policy.methods.join(', ') || DEFAULT_METHODS;
+  headers['Access-Control-Expose-Headers'] = EXPOSE_HEADERS;
+
+  // A wildcard is taken literally when sending credentials, so echo what was requested
+  const requested = req.headers.get('access-control-request-headers');
+  if (policy.headers.length) {
+    headers['Access-Control-Allow-Headers'] = policy.headers.join(', ');
+  } else if (!policy.credentials) {
+    headers['Access-Control-Allow-Headers'] = '*';
+  } else if (requested) {
+    headers['Access-Control-Allow-Headers'] = requested;
+  }
+
+  if (policy.credentials) headers['Access-Control-Allow-Credentials'] = 'true';
+  return headers;
+}
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { SHEET_TYPE } from './sheet.js';
+import { getError } from './error.js';
+
+const BOM = '\uFEFF';
+
+/**
+ * Parse CSV as of RFC 4180, with quoted cells holding commas, quotes ("") and newlines.
+ * @param {String} text the CSV, a leading byte order mark is ignored
+ * @returns {Object} the rows as arrays of cells, or an error for unterminated quotes
+ */
+export function parseCsv(text) {
+  const csv = text.startsWith(BOM) ? text.substring(1) : text;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let idx = 0; idx < csv.length; idx += 1) {
+    const char = csv[idx];
+    if (quoted) {
+      if (char === '"' && csv[idx + 1] === '"') {
+        cell += '"';
+        idx += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // A CRLF ends one row
+      if (char === '\r' && csv[idx + 1] === '\n') idx += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) return getError('The CSV has an unterminated quote.');
+  // The last row may or may not end with a newline
+  if (row.length || cell) rows.push([...row, cell]);
+  return { rows };
+}
+
+function toCell(value) {
+  const cell = value === undefined || value === null ? '' : `${value}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell;
+}
+
+/**
+ * Write rows of cells as CSV with CRLF line breaks, quoting cells where needed.
+ * @param {Array[]} rows the rows
+ * @returns {String} the CSV
+ */
+export function toCsv(rows) {
+  return rows.map((row) => `${row.map(toCell).join(',')}\r\n`).join('');
+}
+
+/**
+ * Convert CSV into a DA sheet, the first row holds the columns.
+ * @param {String} text the CSV
+ * @returns {Object} the sheet, or an error
+ */
+export function csvToSheet(text) {
+  const { rows, error } = parseCsv(text);
+  if (error) return { error };
+  // Blank lines are not rows
+  const [header, ...lines] = rows.filter((row) => row.length > 1 || row[0] !== '');
+  if (!header) return getError('The CSV has no header row.');
+
+  const columns = header.map((column) => column.trim());
+  if (columns.some((column) => !column)) return getError('The CSV has a column without a name.');
+  const duplicate = columns.find((column, idx) => columns.indexOf(column) !== idx);
+  if (duplicate) return getError(`The CSV has the column ${duplicate} twice.`);
+
+  const tooLong = lines.findIndex((line) => line.length > columns.length);
+  if (tooLong !== -1) return getError(`Row ${tooLong + 1} of the CSV has more cells than columns.`);
+
+  const data = lines.map((line) => Object.fromEntries(
+    columns.map((column, idx) => [column, line[idx] ?? '']),
+  ));
+  return {
+    sheet: {
+      total: data.length, offset: 0, limit: data.length, data, ':type': SHEET_TYPE,
+    },
+  };
+}
+
+/**
+ * Convert a DA sheet into CSV, with the columns of all its rows.
+ * @param {Object} sheet the sheet
+ * @returns {String} the CSV
+ */
+export function sheetToCsv(sheet) {
+  const columns = [...new Set(sheet.data.flatMap((row) => Object.keys(row)))];
+  if (!columns.length) return '';
+  return toCsv([columns, ...sheet.data.map((row) => columns.map((column) => row[column]))]);
+}
@@ -11,6 +11,52 @@
  */
 
 import { getUsers, isAuthorized } from './auth.js';
+import { getShareUser } from './share.js';
+
+const READ_METHODS = ['GET', 'HEAD'];
+const ADMIN_APIS = ['apikeys', 'sessions', 'audit', 'trash'];
+// APIs reporting on the permissions of the users, so they can't require any
+const PUBLIC_APIS = ['whoami'];
+
+/**
+ * Maps a request to the operation it performs.
+ * @param {String} method the HTTP method
+ * @param {String} api the api of the request
+ * @returns {String} read, write, delete or admin
+ */
+function getOperation(method, api) {
+  // The config holds the permissions, so reading it takes admin as well
+  if (ADMIN_APIS.includes(api) || api === 'config') return 'admin';
+  // Sharing a document takes write access, listing and revoking links takes admin
+  if (api === 'shares') return method === 'POST' ? 'write' : 'admin';
+  if (READ_METHODS.includes(method)) return 'read';
+  // Acquiring and releasing a lock takes write access, breaking one is checked by the route
+  if (api === 'lock') return 'write';
+  // Renaming a folder moves everything in it
+  if (method === 'DELETE' || api === 'move' || (api === 'folder' && method === 'PATCH')) return 'delete';
+  return 'write';
+}
+
+/**
+ * Checks if a request administers the whole org, whatever its path.
+ * These are authorized against the org config only, so site admins can't use them.
+ * @param {String} method the HTTP method
+ * @param {String} api the api of the request
+ * @returns {Boolean}
+ */
+function isOrgScoped(method, api) {
+  return ADMIN_APIS.includes(api) || (api === 'shares' && method !== 'POST');
+}
+
+/**
+ * Get the pathname of a request, without the prefix of the proxied api route.
+ * @param {Request} req the request
+ * @returns {String} the pathname
+ */
+export function getPathname(req) {
+  const { pathname } = new URL(req.url);
+  return pathname.startsWith('/api/') ? pathname.slice('/api'.length) : pathname;
+}
 
 /**
  * Gets Dark Alley Context
@@ -18,11 +64,7 @@ import { getUsers, isAuthorized } from './auth.js';
  * @returns {DaCtx} The Dark Alley Context.
  */
 export default async function getDaCtx(req, env) {
-  let { pathname } = new URL(req.url);
-  // Remove proxied api route
-  if (pathname.startsWith('/api')) pathname = pathname.replace('/api', '');
-
-  const users = await getUsers(req, env);
+  const pathname = getPathname(req);
 
   // Santitize the string
   const lower = pathname.slice(1).toLowerCase();
@@ -34,6 +76,15 @@ export default async function getDaCtx(req, env) {
   const fullKey = split.join('/');
   const [org, ...parts] = split;
 
+  // Sanitize the remaining path parts
+  const path = parts.filter((part) => part !== '');
+  const keyBase = path.join('/');
+
+  // A share link stands in for the authorization header
+  const shareUser = !req.headers?.get('authorization')
+    && await getShareUser(req, env, { api, org, key: keyBase });
+  const users = shareUser ? [shareUser] : await getUsers(req, env, org);
+
   // Set base details
   const daCtx = {
     path: pathname,
@@ -45,18 +96,18 @@ export default async function getDaCtx(req, env) {
   };
 
   // Get org properties
+  daCtx.operation = getOperation(req.method, api);
   daCtx.authorized = true;
-  // check for all users in the session if they are authorized
-  for (const user of users) {
-    if (!await isAuthorized(env, org, user)) {
+  const authPath = isOrgScoped(req.method, api) ? undefined : `/${keyBase}`;
+  // check for all users in the session if they are authorized for the key
+  for (const user of PUBLIC_APIS.includes(api) ? [] : users) {
+    if (!await isAuthorized(env, org, user, authPath, daCtx.operation)) {
       daCtx.authorized = false;
+      // Authenticated users lacking a role are forbidden, anonymous ones need to log in
+      daCtx.forbidden = daCtx.forbidden !== false && user.email !== 'anonymous';
     }
   }
 
-  // Sanitize the remaining path parts
-  const path = parts.filter((part) => part !== '');
-  const keyBase = path.join('/');
-
   // Get the final source name
   daCtx.filename = path.pop() || '';
 
@@ -9,20 +9,59 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+import { DEFAULT_CORS } from './cors.js';
+import { META_HEADER_PREFIX } from './meta.js';
+
 export default function daResp({
   status,
   body,
   contentType = 'application/json',
   contentLength,
-}) {
-  const headers = new Headers();
-  headers.append('Access-Control-Allow-Origin', '*');
-  headers.append('Access-Control-Allow-Methods', 'HEAD, GET, PUT, POST, DELETE');
-  headers.append('Access-Control-Allow-Headers', '*');
+  retryAfter,
+  etag,
+  lastModified,
+  cacheControl,
+  contentRange,
+  acceptRanges,
+  meta,
+  lock,
+}, cors = DEFAULT_CORS) {
+  const headers = new Headers(cors);
   headers.append('Content-Type', contentType);
   if (contentLength) {
     headers.append('Content-Length', contentLength);
   }
+  if (etag) {
+    headers.append('ETag', etag);
+  }
+  if (lastModified) {
+    headers.append('Last-Modified', lastModified);
+  }
+  if (cacheControl) {
+    headers.append('Cache-Control', cacheControl);
+  }
+  if (contentRange) {
+    headers.append('Content-Range', contentRange);
+  }
+  if (acceptRanges) {
+    headers.append('Accept-Ranges', acceptRanges);
+  }
+  const metaHeaders = Object.entries(meta || {})
+    .map(([name, value]) => [`${META_HEADER_PREFIX}${name}`, value]);
+  if (metaHeaders.length) {
+    metaHeaders.forEach(([name, value]) => headers.append(name, value));
+    // The names are only known now, so add them to the exposed headers of the CORS policy
+    const exposed = headers.get('Access-Control-Expose-Headers');
+    const names = metaHeaders.map(([name]) => name);
+    if (exposed) headers.set('Access-Control-Expose-Headers', [exposed, ...names].join(', '));
+  }
+  if (lock) {
+    headers.append('X-DA-Lock-Owner', lock.owner);
+    headers.append('X-DA-Lock-Expires', lock.expires);
+  }
+  if (retryAfter) {
+    headers.append('Retry-After', retryAfter);
+  }
 
   return new Response(body, { status, headers });
 }
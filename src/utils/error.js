@@ -0,0 +1,31 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Get the response object of an error.
+ * @param {String} error the message of the error
+ * @param {Number} status the status of the response
+ * @returns {Object} the response object, with the message as JSON body
+ */
+export function getErrorResp(error, status = 400) {
+  return { body: JSON.stringify({ error }), status, contentType: 'application/json' };
+}
+
+/**
+ * Get the error of a helper or check, as returned to the route.
+ * @param {String} error the message of the error
+ * @param {Number} status the status of the response
+ * @returns {Object} the response object, as error
+ */
+export function getError(error, status = 400) {
+  return { error: getErrorResp(error, status) };
+}
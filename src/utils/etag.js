@@ -0,0 +1,68 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+function parseTags(header) {
+  return header.split(',').map((tag) => tag.trim()).filter((tag) => tag);
+}
+
+/**
+ * Check if an ETag matches an If-Match or If-None-Match header.
+ * @param {String} header the list of ETags of the header, or a star
+ * @param {String} etag the ETag of the current object
+ * @param {Boolean} weak use the weak comparison of If-None-Match instead of the strong one
+ * @returns {Boolean}
+ */
+export function etagMatches(header, etag, weak = false) {
+  if (!header || !etag) return false;
+  const tags = parseTags(header);
+  if (tags.includes('*')) return true;
+  if (!weak) return !etag.startsWith('W/') && tags.includes(etag);
+
+  const strip = (tag) => tag.replace(/^W\//, '');
+  return tags.some((tag) => strip(tag) === strip(etag));
+}
+
+/**
+ * Get the conditions of a conditional GET or HEAD request.
+ * @param {Request} req the request
+ * @returns {Object} the If-None-Match and If-Modified-Since headers
+ */
+export function getConditions(req) {
+  return {
+    ifNoneMatch: req?.headers?.get('if-none-match') || undefined,
+    ifModifiedSince: req?.headers?.get('if-modified-since') || undefined,
+  };
+}
+
+/**
+ * Check if the client already has the current representation.
+ * If-None-Match takes precedence over If-Modified-Since.
+ * @param {Object} conditions the conditions of the request
+ * @param {Object} current the etag and lastModified of the current representation
+ * @returns {Boolean}
+ */
+export function isNotModified({ ifNoneMatch, ifModifiedSince }, { etag, lastModified }) {
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, etag, true);
+  if (!ifModifiedSince || !lastModified) return false;
+  return Date.parse(lastModified) <= Date.parse(ifModifiedSince);
+}
+
+/**
+ * Computes a strong ETag of a body.
+ * @param {String} body the body
+ * @returns {Promise<String>} the ETag
+ */
+export async function getBodyEtag(body) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+  const hex = [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0'));
+  return `"${hex.join('').substring(0, 32)}"`;
+}
@@ -0,0 +1,48 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getLock, listLocks } from '../storage/kv/locks.js';
+
+/**
+ * Get the email a request holds locks with.
+ * Anonymous users can't hold locks, so they can't release them either.
+ * @param {DaCtx} daCtx the DA Context
+ * @returns {String} the email, undefined for anonymous requests
+ */
+export function getLockOwner(daCtx) {
+  return daCtx.users?.find(({ email }) => email !== 'anonymous')?.email;
+}
+
+export function isLockHolder(daCtx, lock) {
+  return daCtx.users?.some(({ email }) => email === lock.owner) || false;
+}
+
+export function getLocked(lock) {
+  const error = `${lock.key} is locked by ${lock.owner} until ${lock.expires}.`;
+  const body = JSON.stringify({ error, lock });
+  return { body, status: 423, contentType: 'application/json' };
+}
+
+/**
+ * Check that a write to a document, or to everything in a folder, is not locked by someone else.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {String} key the key of the document or folder
+ * @param {Boolean} isFolder whether the key is a folder
+ * @returns {Promise<Object>} a 423 response object if it is locked, otherwise undefined
+ */
+export async function checkLock(env, daCtx, key, isFolder = false) {
+  const locks = isFolder
+    ? await listLocks(env, daCtx.org, key)
+    : [await getLock(env, daCtx.org, key)].filter((lock) => lock);
+  const lock = locks.find((found) => !isLockHolder(daCtx, found));
+  return lock ? getLocked(lock) : undefined;
+}
@@ -0,0 +1,91 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { getConfigValue } from './config.js';
+import { getError } from './error.js';
+
+export const META_HEADER_PREFIX = 'x-da-meta-';
+
+// Custom metadata is stored apart from the system metadata (ID, Version, Users...)
+const META_KEY_PREFIX = 'da-meta-';
+
+export const DEFAULT_META_FIELDS = ['source-url', 'import-batch', 'checksum'];
+
+// S3 allows 2 KB of user metadata, the system metadata needs its share of it
+const MAX_META_SIZE = 1024;
+
+// Metadata travels in headers, so only printable ASCII
+const META_VALUE = /^[\x20-\x7e]*$/;
+
+/**
+ * Collects the x-da-meta-* entries of headers or form data.
+ * @param {Headers|FormData} entries the headers or form data
+ * @returns {Object} the values by name, without the prefix
+ */
+export function getMetaEntries(entries) {
+  const meta = {};
+  entries?.forEach((value, key) => {
+    const lower = key.toLowerCase();
+    if (lower.startsWith(META_HEADER_PREFIX) && typeof value === 'string') {
+      meta[lower.substring(META_HEADER_PREFIX.length)] = value;
+    }
+  });
+  return meta;
+}
+
+/**
+ * Check custom metadata against the fields the org allows.
+ * The metadata.fields key of the org config replaces the default fields.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @param {Object} meta the metadata by name
+ * @returns {Promise<Object>} an error, undefined if the metadata is valid
+ */
+export async function checkMeta(env, org, meta) {
+  const names = Object.keys(meta || {});
+  if (!names.length) return undefined;
+
+  const props = await env.DA_CONFIG.get(org, { type: 'json' });
+  const configured = `${getConfigValue(props, 'metadata.fields') || ''}`
+    .split(',').map((name) => name.trim().toLowerCase()).filter((name) => name);
+  const allowed = configured.length ? configured : DEFAULT_META_FIELDS;
+
+  const unknown = names.find((name) => !allowed.includes(name));
+  if (unknown) return getError(`Metadata ${unknown} is not allowed.`);
+
+  const invalid = names.find((name) => !META_VALUE.test(meta[name]));
+  if (invalid) return getError(`Metadata ${invalid} must be printable ASCII.`);
+
+  const size = names.reduce((total, name) => total + name.length + meta[name].length, 0);
+  if (size > MAX_META_SIZE) return getError(`Metadata can be at most ${MAX_META_SIZE} bytes.`);
+  return undefined;
+}
+
+/**
+ * Converts custom metadata to S3 metadata.
+ * @param {Object} meta the metadata by name
+ * @returns {Object} the S3 metadata
+ */
+export function toS3Meta(meta = {}) {
+  return Object.fromEntries(Object.entries(meta)
+    .map(([name, value]) => [`${META_KEY_PREFIX}${name}`, value]));
+}
+
+/**
+ * Gets the custom metadata of S3 metadata.
+ * @param {Object} metadata the S3 metadata, with lower case keys
+ * @returns {Object} the metadata by name
+ */
+export function fromS3Meta(metadata = {}) {
+  return Object.fromEntries(Object.entries(metadata)
+    .filter(([key]) => key.startsWith(META_KEY_PREFIX))
+    .map(([key, value]) => [key.substring(META_KEY_PREFIX.length), value]));
+}
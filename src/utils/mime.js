@@ -0,0 +1,101 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { EXTENSION_TYPES, SUPPORTED_TYPES } from './constants.js';
+import { getConfigValue } from './config.js';
+import { getError } from './error.js';
+
+// Enough of a file to find its signature, or the root element of an SVG
+const SNIFF_LENGTH = 1024;
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, idx) => bytes[idx] === byte);
+}
+
+// Binary types must start with their signature
+const SIGNATURES = {
+  'image/png': (bytes) => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/jpeg': (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]),
+  'image/gif': (bytes) => startsWith(bytes, [0x47, 0x49, 0x46, 0x38]),
+  'video/mp4': (bytes) => startsWith(bytes.subarray(4), [0x66, 0x74, 0x79, 0x70]),
+};
+
+/**
+ * Guess the type of content from its first bytes.
+ * @param {Uint8Array} bytes the start of the content
+ * @returns {String} a binary type or image/svg+xml, undefined for other content
+ */
+export function sniffType(bytes) {
+  const binary = Object.keys(SIGNATURES).find((type) => SIGNATURES[type](bytes));
+  if (binary) return binary;
+  const text = new TextDecoder().decode(bytes).trimStart().toLowerCase();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(text)) {
+    return 'image/svg+xml';
+  }
+  return undefined;
+}
+
+/**
+ * Get the content types an org allows to upload.
+ * The content.types key of the org config replaces the supported types.
+ * @param {Object} env the cloud provider environment
+ * @param {String} org the org
+ * @returns {Promise<String[]>} the types
+ */
+export async function getAllowedTypes(env, org) {
+  const props = await env.DA_CONFIG.get(org, { type: 'json' });
+  const types = `${getConfigValue(props, 'content.types') || ''}`
+    .split(',').map((type) => type.trim().toLowerCase()).filter((type) => type);
+  return types.length ? types : SUPPORTED_TYPES;
+}
+
+/**
+ * Check that a declared type is allowed and agrees with the extension.
+ * Uploads without a declared type get the type of their extension.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {String} declared the declared content type
+ * @returns {Promise<Object>} the type of the upload, or a 415 error
+ */
+export async function checkType(env, daCtx, declared) {
+  const extType = EXTENSION_TYPES[daCtx.ext];
+  const type = declared?.split(';')[0].trim().toLowerCase() || extType;
+  if (!type) return getError('No content type provided.', 415);
+
+  const allowed = await getAllowedTypes(env, daCtx.org);
+  if (!allowed.includes(type)) return getError(`Content type ${type} is not allowed.`, 415);
+
+  if (extType && extType !== type) {
+    return getError(`Extension .${daCtx.ext} does not match content type ${type}.`, 415);
+  }
+  return { type };
+}
+
+/**
+ * Check that the extension, declared type and content of an upload agree.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Blob} file the uploaded file, or at least its start
+ * @returns {Promise<Object>} the type of the file, or a 415 error
+ */
+export async function checkContentType(env, daCtx, file) {
+  const { type, error } = await checkType(env, daCtx, file.type);
+  if (error) return { error };
+
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_LENGTH).arrayBuffer());
+  const sniffed = sniffType(bytes);
+  const sniffable = type === 'image/svg+xml' || SIGNATURES[type];
+  if (sniffed !== type && (sniffed || sniffable)) {
+    return getError(`Content does not match content type ${type}.`, 415);
+  }
+
+  return { type };
+}
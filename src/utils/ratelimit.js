@@ -0,0 +1,103 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import createKvStore from '../storage/ratelimit/kv.js';
+import createMemoryStore from '../storage/ratelimit/memory.js';
+import { getConfigValue } from './config.js';
+
+// Limits are requests per window
+const WINDOW = 60;
+
+const BULK_APIS = ['copy', 'move'];
+
+let memoryStore;
+
+/**
+ * Get the store of the rate limit counters.
+ * Set RATE_LIMIT_STORE to memory to keep them in memory instead of DA_AUTH.
+ * @param {Object} env the cloud provider environment
+ */
+export function getRateLimitStore(env) {
+  if (env.RATE_LIMIT_STORE === 'memory') {
+    memoryStore = memoryStore || createMemoryStore();
+    return memoryStore;
+  }
+  return createKvStore(env.DA_AUTH);
+}
+
+/**
+ * Get the budget a request is counted against.
+ * Copies, moves, folder renames and folder deletes are bulk, other mutations are writes.
+ * @param {Request} req the request
+ * @param {DaCtx} daCtx the DA Context
+ * @returns {String} read, write or bulk
+ */
+export function getBudget(req, daCtx) {
+  if (req.method === 'GET' || req.method === 'HEAD') return 'read';
+  if (BULK_APIS.includes(daCtx.api)) return 'bulk';
+  if (req.method === 'PATCH' && daCtx.api === 'folder') return 'bulk';
+  if (req.method === 'DELETE' && !daCtx.ext) return 'bulk';
+  return 'write';
+}
+
+// The org config wins over the env defaults, e.g. ratelimit.org.write over RATE_LIMIT_ORG_WRITE
+function getLimit(env, props, scope, budget) {
+  const parts = [scope, budget].filter((part) => part);
+  const value = getConfigValue(props, ['ratelimit', ...parts].join('.'))
+    ?? env[['RATE_LIMIT', ...parts].join('_').toUpperCase()];
+  const limit = Number(value);
+  return limit > 0 ? limit : undefined;
+}
+
+// API keys are counted by id, anonymous users by IP
+function getIdentity(req, user) {
+  if (user.apiKey) return `apikey:${user.apiKey.id}`;
+  if (user.email === 'anonymous') return `ip:${req.headers?.get('cf-connecting-ip') || 'unknown'}`;
+  return user.email.toLowerCase();
+}
+
+/**
+ * Counts a request against the limits of its users and of its org.
+ * @param {Request} req the request
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} store the counter store (optional)
+ * @returns {Promise<Object>} a 429 response object if a limit is exceeded, otherwise undefined
+ * (also when the store fails)
+ */
+export async function checkRateLimit(req, env, daCtx, store = getRateLimitStore(env)) {
+  const { org, users } = daCtx;
+  const budget = getBudget(req, daCtx);
+  const props = org ? await env.DA_CONFIG.get(org, { type: 'json' }) : null;
+
+  const counters = [];
+  const userLimit = getLimit(env, props, undefined, budget);
+  if (userLimit) {
+    users.forEach((user) => counters.push({ id: `${budget}-${getIdentity(req, user)}`, limit: userLimit }));
+  }
+  const orgLimit = org && getLimit(env, props, 'org', budget);
+  if (orgLimit) counters.push({ id: `${budget}-org:${org}`, limit: orgLimit });
+  if (!counters.length) return undefined;
+
+  const now = Math.floor(Date.now() / 1000);
+  const window = now - (now % WINDOW);
+  let counts;
+  try {
+    counts = await Promise.all(counters.map(({ id }) => store.increment(`${id}-${window}`, WINDOW)));
+  } catch {
+    // Fail open, an unavailable store must not take the requests down with it
+    return undefined;
+  }
+  if (counters.every(({ limit }, idx) => counts[idx] <= limit)) return undefined;
+
+  const body = JSON.stringify({ error: `Too many ${budget} requests.` });
+  return { body, status: 429, retryAfter: window + WINDOW - now };
+}
@@ -0,0 +1,83 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import { useShare } from '../storage/kv/shares.js';
+
+const ANON = { email: 'anonymous' };
+
+async function getSigningKey(env, usages) {
+  const secret = new TextEncoder().encode(env.DA_SHARE_SECRET);
+  return crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, usages);
+}
+
+// The signature binds the share to one key of an org until it expires
+function getPayload(id, org, key, expires) {
+  return new TextEncoder().encode(`${id}:${org}/${key}:${expires}`);
+}
+
+function toBase64Url(buffer) {
+  const base64 = btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  return base64.replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const binary = atob(value.replaceAll('-', '+').replaceAll('_', '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Builds the signed URL of a share link.
+ * @param {Object} env the cloud provider environment
+ * @param {DaCtx} daCtx the DA Context
+ * @param {Object} share the share
+ * @returns {Promise<String>} the URL
+ */
+export async function getShareUrl(env, daCtx, share) {
+  const { id, org, key } = share;
+  const expires = Math.floor(Date.parse(share.expires) / 1000);
+  const signingKey = await getSigningKey(env, ['sign']);
+  const sig = await crypto.subtle.sign('HMAC', signingKey, getPayload(id, org, key, expires));
+  const params = new URLSearchParams({ share: id, expires, sig: toBase64Url(sig) });
+  return `${daCtx.origin}/source/${org}/${key}?${params}`;
+}
+
+/**
+ * Resolves the share link of a request to a synthetic user.
+ * Links are only accepted for GET and HEAD on the source of the shared key,
+ * only GET requests count against the uses of the link.
+ * @param {Request} req the request
+ * @param {Object} env the cloud provider environment
+ * @param {Object} target the api, org and key of the request
+ * @returns {Promise<Object>} the user, undefined if the request has no share link
+ */
+export async function getShareUser(req, env, { api, org, key }) {
+  const params = new URL(req.url).searchParams;
+  const id = params.get('share');
+  if (!id) return undefined;
+  if (api !== 'source' || !['GET', 'HEAD'].includes(req.method)) return ANON;
+
+  const expires = Number(params.get('expires'));
+  const sig = params.get('sig');
+  if (!env.DA_SHARE_SECRET || !sig || !(expires > Date.now() / 1000)) return ANON;
+
+  try {
+    const signingKey = await getSigningKey(env, ['verify']);
+    const payload = getPayload(id, org, key, expires);
+    if (!await crypto.subtle.verify('HMAC', signingKey, fromBase64Url(sig), payload)) return ANON;
+  } catch {
+    return ANON;
+  }
+
+  const share = await useShare(env, org, id, req.method === 'GET');
+  if (!share || share.key !== key) return ANON;
+
+  return { email: `share:${id}`, share: { id, org, key } };
+}
@@ -0,0 +1,213 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+export const SHEET_TYPE = 'sheet';
+export const MULTI_SHEET_TYPE = 'multi-sheet';
+
+// Enough to fix a broken sheet without a response as large as the sheet
+const MAX_ERRORS = 50;
+
+const CELL_TYPES = ['string', 'number', 'boolean'];
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function validateRows(errors, sheet, rows) {
+  const [first] = rows;
+  const columns = isObject(first) ? Object.keys(first).sort().join() : undefined;
+  rows.forEach((row, idx) => {
+    if (!isObject(row)) {
+      errors.push({ sheet, row: idx, error: 'A row must be an object.' });
+      return;
+    }
+    Object.entries(row).forEach(([column, value]) => {
+      if (value !== null && !CELL_TYPES.includes(typeof value)) {
+        errors.push({
+          sheet, row: idx, column, error: 'A value must be a string, number, boolean or null.',
+        });
+      }
+    });
+    if (columns !== undefined && Object.keys(row).sort().join() !== columns) {
+      errors.push({ sheet, row: idx, error: 'The columns of the row differ from the first row.' });
+    }
+  });
+}
+
+function validateSheet(errors, sheet, json) {
+  if (!isObject(json)) {
+    errors.push({ sheet, error: 'A sheet must be an object.' });
+    return;
+  }
+  if (!Array.isArray(json.data)) {
+    errors.push({ sheet, error: 'A sheet must have a data array.' });
+    return;
+  }
+  ['offset', 'limit'].filter((field) => field in json && !isCount(json[field])).forEach((field) => {
+    errors.push({ sheet, error: `The ${field} must be a whole number of at least 0.` });
+  });
+  // The total counts all rows, which the stored document has
+  if ('total' in json && json.total !== json.data.length) {
+    errors.push({ sheet, error: `The total must be the number of rows (${json.data.length}).` });
+  }
+  validateRows(errors, sheet, json.data);
+}
+
+function validateMultiSheet(errors, json) {
+  const names = json[':names'];
+  if (!Array.isArray(names) || !names.length) {
+    errors.push({ error: 'A multi-sheet must have a :names array.' });
+    return;
+  }
+  if ((':version' in json) && !(Number.isInteger(json[':version']) && json[':version'] > 0)) {
+    errors.push({ error: 'The :version must be a whole number of at least 1.' });
+  }
+  names.forEach((name, idx) => {
+    if (typeof name !== 'string' || !name || name.startsWith(':')) {
+      errors.push({ error: `The :names entry ${idx} must be a sheet name.` });
+    } else if (names.indexOf(name) !== idx) {
+      errors.push({ sheet: name, error: 'The sheet is named twice.' });
+    } else {
+      validateSheet(errors, name, json[name]);
+    }
+  });
+  // Keys starting with a colon are properties of the document, others are sheets
+  Object.keys(json).filter((key) => !key.startsWith(':') && !names.includes(key)).forEach((key) => {
+    errors.push({ sheet: key, error: 'The sheet is missing from :names.' });
+  });
+}
+
+function getNotFound(sheets) {
+  const body = JSON.stringify({ error: `No sheet named ${sheets.join(', ')}.` });
+  return { error: { body, status: 404, contentType: 'application/json' } };
+}
+
+/**
+ * Validate a DA sheet document, a single sheet or a multi-sheet.
+ * @param {Object} json the parsed document
+ * @returns {Object[]} the errors, each with the sheet and row (0 based) it is found in
+ */
+export function validateSheetDocument(json) {
+  const errors = [];
+  if (!isObject(json)) {
+    errors.push({ error: 'A sheet document must be an object.' });
+  } else if (json[':type'] === MULTI_SHEET_TYPE) {
+    validateMultiSheet(errors, json);
+  } else if (json[':type'] === undefined || json[':type'] === SHEET_TYPE) {
+    validateSheet(errors, undefined, json);
+  } else {
+    errors.push({ error: `Unknown :type ${json[':type']}.` });
+  }
+  return errors;
+}
+
+/**
+ * Check the text of a sheet document before it is stored.
+ * @param {String} text the document
+ * @returns {Object} a 422 error with the errors found, undefined if the document is valid
+ */
+export function checkSheet(text) {
+  let errors;
+  try {
+    errors = validateSheetDocument(JSON.parse(text));
+  } catch {
+    errors = [{ error: 'The document is not valid JSON.' }];
+  }
+  if (!errors.length) return undefined;
+  const body = JSON.stringify({ error: 'Invalid sheet.', errors: errors.slice(0, MAX_ERRORS) });
+  return { error: { body, status: 422, contentType: 'application/json' } };
+}
+
+function matches(row, { column, value, contains }) {
+  const cell = row[column] === undefined || row[column] === null ? '' : `${row[column]}`;
+  if (contains) return cell.toLowerCase().includes(value.toLowerCase());
+  return cell === value;
+}
+
+function project(row, columns) {
+  return Object.fromEntries(columns.filter((column) => column in row)
+    .map((column) => [column, row[column]]));
+}
+
+function querySheet(sheet, {
+  offset = 0, limit, columns, filters,
+}) {
+  const rows = sheet.data.filter((row) => filters.every((filter) => matches(row, filter)));
+  const end = limit === undefined ? undefined : offset + limit;
+  const data = rows.slice(offset, end).map((row) => (columns ? project(row, columns) : row));
+  return {
+    ...sheet, total: rows.length, offset, limit: limit ?? data.length, data,
+  };
+}
+
+/**
+ * Select sheets and rows of a DA sheet document.
+ * The result stays in the envelope of a sheet, one selected sheet of a multi-sheet is a sheet.
+ * A single sheet document only has the sheet named data.
+ * @param {Object} json the parsed document
+ * @param {Object} query the query of the sheet query helper
+ * @returns {Object} the result, or an error for sheets that don't exist
+ */
+export function querySheetDocument(json, query) {
+  if (json[':type'] !== MULTI_SHEET_TYPE) {
+    // The sheet named data of a single sheet document is the document itself, like in setSheet
+    const missing = query.sheets.filter((name) => name !== 'data');
+    if (missing.length) return getNotFound(missing);
+    return { json: querySheet(json, query) };
+  }
+
+  const names = query.sheets.length ? query.sheets : json[':names'];
+  const missing = names.filter((name) => !json[':names'].includes(name));
+  if (missing.length) return getNotFound(missing);
+
+  if (query.sheets.length === 1) {
+    return { json: { ...querySheet(json[names[0]], query), ':type': SHEET_TYPE } };
+  }
+  const sheets = Object.fromEntries(names.map((name) => [name, querySheet(json[name], query)]));
+  const result = {
+    ...sheets, ':names': names, ':version': json[':version'], ':type': MULTI_SHEET_TYPE,
+  };
+  return { json: result };
+}
+
+// The sheets of a multi-sheet have no type of their own
+function withoutType(sheet) {
+  const copy = { ...sheet };
+  delete copy[':type'];
+  return copy;
+}
+
+/**
+ * Set one sheet of a document, making it a multi-sheet when needed.
+ * The sheet named data of a single sheet document is the document itself.
+ * @param {Object} json the current document, undefined if there is none
+ * @param {String} name the name of the sheet
+ * @param {Object} sheet the sheet
+ * @returns {Object} the new document
+ */
+export function setSheet(json, name, sheet) {
+  const isMulti = json?.[':type'] === MULTI_SHEET_TYPE;
+  if (name === 'data' && !isMulti) return sheet;
+
+  let base = { ':names': [], ':type': MULTI_SHEET_TYPE };
+  if (isMulti) {
+    base = json;
+  } else if (json) {
+    base = { data: withoutType(json), ':names': ['data'], ':type': MULTI_SHEET_TYPE };
+  }
+  const names = base[':names'].includes(name) ? base[':names'] : [...base[':names'], name];
+  return { ...base, [name]: withoutType(sheet), ':names': names };
+}
@@ -0,0 +1,24 @@
+import assert from 'assert';
+
+import copyHelper from '../../src/helpers/copy.js';
+import moveHelper from '../../src/helpers/move.js';
+
+import getFormReq from '../utils/mocks/form.js';
+
+describe('Copy and move helpers', () => {
+  const daCtx = { key: 'site/page.html' };
+
+  it('parses the destination', async () => {
+    const copy = await copyHelper(getFormReq({ destination: '/org/Site/Copy.html' }), daCtx);
+    assert.deepStrictEqual(copy, { source: 'site/page.html', destination: 'site/copy.html', continuationToken: null });
+    const move = await moveHelper(getFormReq({ destination: '/org/site/moved.html' }), daCtx);
+    assert.deepStrictEqual(move, { source: 'site/page.html', destination: 'site/moved.html' });
+  });
+
+  it('rejects hidden destinations', async () => {
+    const audit = await copyHelper(getFormReq({ destination: '/org/.da-audit/2024/01/01/x.json' }), daCtx);
+    assert.strictEqual(audit.error.status, 400);
+    const trash = await moveHelper(getFormReq({ destination: '/org/.da-trash/abc/site/page.html' }), daCtx);
+    assert.strictEqual(trash.error.status, 400);
+  });
+});
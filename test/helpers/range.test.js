@@ -0,0 +1,27 @@
+import assert from 'assert';
+
+import rangeHelper from '../../src/helpers/range.js';
+
+const getReq = (range) => new Request('https://admin.da.live/source/adobe/wknd/video.mp4', {
+  headers: range ? { range } : {},
+});
+
+describe('Range helper', () => {
+  it('passes a single range', () => {
+    assert.deepStrictEqual(rangeHelper(getReq('bytes=0-1023')), { range: 'bytes=0-1023' });
+    assert.deepStrictEqual(rangeHelper(getReq('bytes=1024-')), { range: 'bytes=1024-' });
+    assert.deepStrictEqual(rangeHelper(getReq('bytes=-500')), { range: 'bytes=-500' });
+  });
+
+  it('rejects multiple ranges', () => {
+    const { error } = rangeHelper(getReq('bytes=0-10, 20-30'));
+    assert.strictEqual(error.status, 416);
+  });
+
+  it('ignores ranges it can not parse', () => {
+    assert.deepStrictEqual(rangeHelper(getReq()), {});
+    assert.deepStrictEqual(rangeHelper(getReq('items=0-10')), {});
+    assert.deepStrictEqual(rangeHelper(getReq('bytes=10-2')), {});
+    assert.deepStrictEqual(rangeHelper(undefined), {});
+  });
+});
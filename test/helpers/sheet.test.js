@@ -0,0 +1,39 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import sheetQueryHelper from '../../src/helpers/sheet.js';
+
+const getReq = (search) => new Request(`https://admin.da.live/source/adobe/wknd/redirects.json${search}`);
+
+describe('Sheet query helper', () => {
+  it('returns nothing without a query', () => {
+    assert.deepStrictEqual(sheetQueryHelper(getReq('')), {});
+    assert.deepStrictEqual(sheetQueryHelper(getReq('?other=1')), {});
+  });
+
+  it('parses the query', () => {
+    const { query } = sheetQueryHelper(getReq('?sheet=a&sheet=b&offset=10&limit=5&columns=key,%20value,&filter.type=page&contains.title=News'));
+    assert.deepStrictEqual(query, {
+      sheets: ['a', 'b'],
+      offset: 10,
+      limit: 5,
+      columns: ['key', 'value'],
+      filters: [{ column: 'type', value: 'page' }, { column: 'title', value: 'News', contains: true }],
+    });
+  });
+
+  it('refuses invalid paging', () => {
+    assert.strictEqual(sheetQueryHelper(getReq('?offset=-1')).error.status, 400);
+    assert.strictEqual(sheetQueryHelper(getReq('?limit=ten')).error.status, 400);
+  });
+});
@@ -15,7 +15,7 @@ describe('Source helper', () => {
       assert.strictEqual(helped, null);
     });
 
-    it('Returns null if unssupported content type', async () => {
+    it('Leaves checking other content types to the storage', async () => {
       const opts = {
         headers: new Headers({
           'Content-Type': `custom/form; boundary`,
@@ -25,7 +25,39 @@ describe('Source helper', () => {
       const req = new Request(MOCK_URL, opts);
 
       const helped = await putHelper(req, env, daCtx);
-      assert.strictEqual(helped, undefined);
+      assert.strictEqual(helped.data.type, 'custom/form');
+    });
+
+    it('Returns the metadata of headers and form fields', async () => {
+      const body = new FormData();
+      body.append('data', new Blob(['<p>hi</p>'], { type: 'text/html' }));
+      body.append('x-da-meta-checksum', 'form');
+      const req = new Request(MOCK_URL, {
+        body,
+        method: 'PUT',
+        headers: { 'x-da-meta-checksum': 'header', 'x-da-meta-import-batch': '42' },
+      });
+
+      const helped = await putHelper(req, env, daCtx);
+      assert.deepStrictEqual(helped.meta, { checksum: 'form', 'import-batch': '42' });
+    });
+
+    it('Returns the raw body as a file', async () => {
+      const opts = {
+        body: '<html><body>Hello</body></html>',
+        method: 'PUT',
+        headers: new Headers({
+          'Content-Type': 'text/html; charset=utf-8',
+        }),
+      };
+
+      const req = new Request(MOCK_URL, opts);
+
+      const { data } = await putHelper(req, env, { ...daCtx, filename: 'hello.html' });
+      assert(data instanceof File);
+      assert.strictEqual(data.type, 'text/html');
+      assert.strictEqual(data.name, 'hello.html');
+      assert.strictEqual(await data.text(), '<html><body>Hello</body></html>');
     });
 
     it('Returns null if supported content type but no form data', async () => {
@@ -0,0 +1,49 @@
+import assert from 'assert';
+
+import { finalizeUploadHelper, startUploadHelper } from '../../src/helpers/upload.js';
+
+import getFormReq from '../utils/mocks/form.js';
+
+const ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+const NO_FORM = { formData: async () => { throw new Error('no form'); } };
+const getReq = (fields) => (fields ? getFormReq(fields) : NO_FORM);
+
+const getError = (details) => JSON.parse(details.error.body).error;
+
+describe('Upload helper', () => {
+  describe('Start', () => {
+    it('parses the type and parts', async () => {
+      assert.deepStrictEqual(await startUploadHelper(getReq({ type: 'video/mp4', parts: '3' })), { type: 'video/mp4', parts: 3 });
+      assert.deepStrictEqual(await startUploadHelper(getReq({ type: 'video/mp4' })), { type: 'video/mp4', parts: undefined });
+    });
+
+    it('validates the fields', async () => {
+      assert.strictEqual(getError(await startUploadHelper(getReq())), 'No form data.');
+      assert.strictEqual(getError(await startUploadHelper(getReq({ parts: '2' }))), 'No type provided.');
+      const parts = await startUploadHelper(getReq({ type: 'video/mp4', parts: '10001' }));
+      assert.strictEqual(getError(parts), 'Parts must be a number from 1 to 10000.');
+    });
+  });
+
+  describe('Finalize', () => {
+    it('parses a single upload', async () => {
+      assert.deepStrictEqual(await finalizeUploadHelper(getReq({ id: ID })), { id: ID });
+    });
+
+    it('parses the parts of a multipart upload', async () => {
+      const parts = JSON.stringify([{ partNumber: 1, etag: '"a"' }, { partNumber: 2, etag: '"b"' }]);
+      const details = await finalizeUploadHelper(getReq({ id: ID, uploadId: 'up', parts }));
+      assert.deepStrictEqual(details.parts, [{ PartNumber: 1, ETag: '"a"' }, { PartNumber: 2, ETag: '"b"' }]);
+    });
+
+    it('validates the fields', async () => {
+      assert.strictEqual(getError(await finalizeUploadHelper(getReq())), 'No form data.');
+      assert.strictEqual(getError(await finalizeUploadHelper(getReq({ id: '../x' }))), 'No valid id provided.');
+      const parts = await finalizeUploadHelper(getReq({ id: ID, uploadId: 'up', parts: '[{"partNumber":"1"}]' }));
+      assert.strictEqual(getError(parts), 'Parts must be a list of part numbers and ETags.');
+      const empty = await finalizeUploadHelper(getReq({ id: ID, uploadId: 'up', parts: '[]' }));
+      assert(empty.error);
+    });
+  });
+});
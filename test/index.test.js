@@ -1,4 +1,5 @@
 import assert from 'assert';
+import esmock from 'esmock';
 import handler from '../src/index.js';
 
 describe('fetch', () => {
@@ -11,6 +12,87 @@ describe('fetch', () => {
     assert.strictEqual(resp.status, 204);
   });
 
+  it('should return a forbidden response naming the role', async () => {
+    const { default: forbiddenHandler } = await esmock('../src/index.js', {
+      '../src/utils/daCtx.js': {
+        default: async () => ({ authorized: false, forbidden: true, operation: 'delete' }),
+      },
+    });
+    const resp = await forbiddenHandler.fetch({ method: 'DELETE' }, {});
+    assert.strictEqual(resp.status, 403);
+    assert.strictEqual((await resp.json()).requiredRole, 'publisher');
+  });
+
+  it('should return unauthorized for anonymous users', async () => {
+    const { default: anonHandler } = await esmock('../src/index.js', {
+      '../src/utils/daCtx.js': {
+        default: async () => ({ authorized: false, operation: 'read' }),
+      },
+    });
+    const resp = await anonHandler.fetch({ method: 'GET' }, {});
+    assert.strictEqual(resp.status, 401);
+  });
+
+  it('should audit mutating requests', async () => {
+    const audited = [];
+    const { default: auditedHandler } = await esmock('../src/index.js', {
+      '../src/utils/daCtx.js': {
+        default: async () => ({ authorized: true, org: 'adobe', key: 'wknd', path: '/source/adobe/wknd' }),
+      },
+      '../src/handlers/delete.js': { default: async () => ({ status: 204 }) },
+      '../src/handlers/get.js': { default: async () => ({ status: 200 }) },
+      '../src/storage/audit/put.js': {
+        default: async (env, daCtx, req, respObj) => audited.push(respObj),
+      },
+      '../src/utils/ratelimit.js': { checkRateLimit: async () => undefined },
+    });
+    await auditedHandler.fetch({ method: 'GET' }, {});
+    const resp = await auditedHandler.fetch({ method: 'DELETE' }, {});
+    assert.strictEqual(resp.status, 204);
+    assert.deepStrictEqual(audited, [{ status: 204 }]);
+  });
+
+  it('should dispatch and audit patches', async () => {
+    const audited = [];
+    const { default: patchedHandler } = await esmock('../src/index.js', {
+      '../src/utils/daCtx.js': {
+        default: async () => ({ authorized: true, org: 'adobe', path: '/properties/adobe/wknd' }),
+      },
+      '../src/handlers/patch.js': { default: async () => ({ status: 200 }) },
+      '../src/storage/audit/put.js': {
+        default: async (env, daCtx, req, respObj) => audited.push(respObj),
+      },
+      '../src/utils/ratelimit.js': { checkRateLimit: async () => undefined },
+    });
+    const resp = await patchedHandler.fetch({ method: 'PATCH' }, {});
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(audited, [{ status: 200 }]);
+  });
+
+  it('should not serve internal folders', async () => {
+    const { default: hiddenHandler } = await esmock('../src/index.js', {
+      '../src/utils/daCtx.js': {
+        default: async () => ({ authorized: true, org: 'adobe', key: '.da-audit/2024' }),
+      },
+    });
+    const resp = await hiddenHandler.fetch({ method: 'GET' }, {});
+    assert.strictEqual(resp.status, 404);
+  });
+
+  it('should return too many requests with a retry hint', async () => {
+    const { default: limitedHandler } = await esmock('../src/index.js', {
+      '../src/utils/daCtx.js': {
+        default: async () => ({ authorized: true, org: 'adobe', key: 'wknd' }),
+      },
+      '../src/utils/ratelimit.js': {
+        checkRateLimit: async () => ({ body: '{}', status: 429, retryAfter: 42 }),
+      },
+    });
+    const resp = await limitedHandler.fetch({ method: 'PUT' }, {});
+    assert.strictEqual(resp.status, 429);
+    assert.strictEqual(resp.headers.get('Retry-After'), '42');
+  });
+
   it('should return a response object for unknown', async () => {
     const resp = await handler.fetch({ url: 'https://www.example.com', method: 'BLAH' }, {});
     assert.strictEqual(resp.status, 501);
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import { postApiKey } from '../../src/routes/apikeys.js';
+
+import getKv from '../utils/mocks/kv.js';
+import getFormReq from '../utils/mocks/form.js';
+
+const DA_CONFIG = {
+  geometrixx: {
+    data: [{ key: 'admin.role.all', value: 'aparker@geometrixx.info' }],
+    ':type': 'sheet',
+  },
+  'geometrixx/agency': {
+    data: [{ key: 'admin.role.all', value: 'agency@agency.com' }],
+    ':type': 'sheet',
+  },
+};
+
+function getEnv() {
+  return { DA_CONFIG: { get: async (name) => DA_CONFIG[name] }, DA_AUTH: getKv() };
+}
+
+describe('API key routes', () => {
+  const getCtx = (email) => ({ org: 'geometrixx', users: [{ email }] });
+
+  it('creates keys for the paths the creator administers', async () => {
+    const env = getEnv();
+    const req = getFormReq({ name: 'ci', paths: '/', operations: 'write,delete' });
+    const resp = await postApiKey({ req, env, daCtx: getCtx('aparker@geometrixx.info') });
+    assert.strictEqual(resp.status, 201);
+  });
+
+  it('only lets admins named in the org config create keys', async () => {
+    const env = getEnv();
+    const req = () => getFormReq({ name: 'ci' });
+    const anon = await postApiKey({ req: req(), env, daCtx: { org: 'geometrixx', users: [{ email: 'anonymous' }] } });
+    assert.strictEqual(anon.status, 403);
+    const unprotected = await postApiKey({ req: req(), env, daCtx: { org: 'wknd', users: [{ email: 'anonymous' }] } });
+    assert.strictEqual(unprotected.status, 403);
+    const multi = getCtx('aparker@geometrixx.info');
+    multi.users.push({ email: 'chad@geometrixx.info' });
+    assert.strictEqual((await postApiKey({ req: req(), env, daCtx: multi })).status, 403);
+    assert.strictEqual(env.DA_AUTH.store.size, 0);
+  });
+
+  it('does not let site admins create keys', async () => {
+    const env = getEnv();
+    const daCtx = getCtx('agency@agency.com');
+    const org = await postApiKey({ req: getFormReq({ name: 'ci', paths: '/', operations: 'delete' }), env, daCtx });
+    assert.strictEqual(org.status, 403);
+    const other = await postApiKey({ req: getFormReq({ name: 'ci', paths: '/agency,/other' }), env, daCtx });
+    assert.strictEqual(other.status, 403);
+    const site = await postApiKey({ req: getFormReq({ name: 'ci', paths: '/agency/drafts' }), env, daCtx });
+    assert.strictEqual(site.status, 403);
+    assert.strictEqual(env.DA_AUTH.store.size, 0);
+  });
+});
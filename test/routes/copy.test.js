@@ -0,0 +1,58 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+import getFormReq from '../utils/mocks/form.js';
+
+describe('Copy route', () => {
+  const daCtx = { org: 'adobe', key: 'wknd/page.html', isFile: true, users: [{ email: 'aparker@geometrixx.info' }] };
+  let copyHandler;
+  let checked;
+  let copied;
+
+  before(async () => {
+    copyHandler = await esmock('../../src/routes/copy.js', {
+      '../../src/utils/auth.js': { isKeyAuthorized: async () => true },
+      '../../src/utils/lock.js': {
+        checkLock: async (e, c, key, isFolder) => {
+          checked.push({ key, isFolder });
+          return key === 'wknd/locked.html' ? { status: 423 } : undefined;
+        },
+      },
+      '../../src/storage/object/copy.js': {
+        default: async (e, c, details) => {
+          copied.push(details.destination);
+          return { status: 204 };
+        },
+      },
+    });
+  });
+
+  beforeEach(() => {
+    checked = [];
+    copied = [];
+  });
+
+  it('copies to an unlocked destination', async () => {
+    const resp = await copyHandler({ req: getFormReq({ destination: '/adobe/wknd/copy.html' }), env: {}, daCtx });
+    assert.strictEqual(resp.status, 204);
+    assert.strictEqual(resp.destination, 'wknd/copy.html');
+    assert.deepStrictEqual(checked, [{ key: 'wknd/copy.html', isFolder: false }]);
+  });
+
+  it('refuses to overwrite a locked destination', async () => {
+    const resp = await copyHandler({ req: getFormReq({ destination: '/adobe/wknd/locked.html' }), env: {}, daCtx });
+    assert.strictEqual(resp.status, 423);
+    assert.deepStrictEqual(copied, []);
+  });
+});
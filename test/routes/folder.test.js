@@ -0,0 +1,98 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+import env from '../utils/mocks/env.js';
+import getFormReq from '../utils/mocks/form.js';
+
+describe('Folder routes', () => {
+  const daCtx = {
+    org: 'adobe', site: 'wknd', key: 'wknd/drafts', propsKey: 'wknd/drafts.props', pathname: '/wknd/drafts', users: [],
+  };
+  let routes;
+  let folders;
+  let moved;
+  let authorized;
+  let locks;
+
+  before(async () => {
+    routes = await esmock('../../src/routes/folder.js', {
+      '../../src/storage/object/folder.js': {
+        getFolderInfo: async (e, { key }) => (folders.includes(key)
+          ? { info: { path: `/adobe/${key}` }, status: 200 } : { status: 404 }),
+        createFolder: async (e, { key }) => (folders.includes(key) ? 200 : 201),
+      },
+      '../../src/storage/object/move.js': {
+        default: async (e, c, details) => {
+          moved.push(details);
+          return { status: 204 };
+        },
+      },
+      '../../src/utils/lock.js': {
+        checkLock: async () => (locks.length ? { status: 423 } : undefined),
+      },
+      '../../src/utils/auth.js': {
+        isKeyAuthorized: async () => authorized,
+      },
+    });
+  });
+
+  beforeEach(() => {
+    folders = ['wknd/drafts', 'wknd/archive'];
+    moved = [];
+    authorized = true;
+    locks = [];
+  });
+
+  it('only handles folders below the org', async () => {
+    const file = { ...daCtx, key: 'wknd/index.html', isFile: true };
+    assert.strictEqual((await routes.getFolder({ env, daCtx: file })).status, 400);
+    assert.strictEqual((await routes.postFolder({ env, daCtx: { ...daCtx, key: '' } })).status, 400);
+  });
+
+  it('gets the folder info', async () => {
+    const resp = await routes.getFolder({ env, daCtx });
+    assert.strictEqual(JSON.parse(resp.body).path, '/adobe/wknd/drafts');
+    const missing = { ...daCtx, key: 'wknd/gone' };
+    assert.strictEqual((await routes.getFolder({ env, daCtx: missing })).status, 404);
+  });
+
+  it('creates a folder', async () => {
+    const created = await routes.postFolder({ env, daCtx: { ...daCtx, key: 'wknd/new' } });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(JSON.parse(created.body).source.editUrl, 'https://da.live/adobe/wknd/drafts');
+    assert.strictEqual((await routes.postFolder({ env, daCtx })).status, 200);
+  });
+
+  it('renames a folder', async () => {
+    const resp = await routes.renameFolder({ req: getFormReq({ newname: 'Final' }), env, daCtx });
+    assert.strictEqual(resp.status, 204);
+    assert.strictEqual(resp.destination, 'wknd/final');
+    assert.deepStrictEqual(moved, [{ source: 'wknd/drafts', destination: 'wknd/final' }]);
+  });
+
+  it('refuses invalid renames', async () => {
+    const renameTo = async (newname, ctx = daCtx) => (await routes.renameFolder({
+      req: getFormReq({ newname }), env, daCtx: ctx,
+    })).status;
+    assert.strictEqual(await renameTo('a/b'), 400);
+    assert.strictEqual(await renameTo(''), 400);
+    assert.strictEqual(await renameTo('archive'), 409);
+    assert.strictEqual(await renameTo('final', { ...daCtx, key: 'wknd/gone' }), 404);
+    locks = [{ key: 'wknd/drafts/index.html' }];
+    assert.strictEqual(await renameTo('final'), 423);
+    authorized = false;
+    assert.strictEqual(await renameTo('final'), 403);
+    assert.strictEqual(moved.length, 0);
+  });
+});
@@ -0,0 +1,115 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+import { checkLock } from '../../src/utils/lock.js';
+import getKv from '../utils/mocks/kv.js';
+import getFormReq from '../utils/mocks/form.js';
+
+const LOCK_URL = 'https://admin.da.live/lock/adobe/wknd/sheet.json';
+const getReq = (fields, url = LOCK_URL) => getFormReq(fields, { url });
+
+describe('Locks', () => {
+  const daCtx = {
+    org: 'adobe', key: 'wknd/sheet.json', isFile: true, users: [{ email: 'author@adobe.com' }],
+  };
+  const other = { ...daCtx, users: [{ email: 'other@adobe.com' }] };
+  let routes;
+  let env;
+  let admin;
+
+  before(async () => {
+    routes = await esmock('../../src/routes/lock.js', {
+      '../../src/utils/auth.js': {
+        isKeyAuthorized: async (e, c, key, operation) => operation === 'admin' && admin,
+      },
+    });
+  });
+
+  beforeEach(() => {
+    env = { DA_AUTH: getKv() };
+    admin = false;
+  });
+
+  it('acquires, renews and releases a lock', async () => {
+    const acquired = await routes.postLock({ req: getReq(), env, daCtx });
+    assert.strictEqual(acquired.status, 201);
+    const lock = JSON.parse(acquired.body);
+    assert.strictEqual(lock.owner, 'author@adobe.com');
+    assert(Date.parse(lock.expires) - Date.now() > 9 * 60 * 1000);
+
+    const renewed = await routes.postLock({ req: getReq({ ttl: '3600' }), env, daCtx });
+    assert.strictEqual(renewed.status, 200);
+    assert.strictEqual(JSON.parse(renewed.body).acquired, lock.acquired);
+    assert(Date.parse(JSON.parse(renewed.body).expires) - Date.now() > 59 * 60 * 1000);
+
+    const state = await routes.getLockState({ env, daCtx: other });
+    assert.strictEqual(JSON.parse(state.body).owner, 'author@adobe.com');
+
+    assert.strictEqual((await routes.releaseLock({ req: getReq(), env, daCtx })).status, 204);
+    assert.strictEqual((await routes.getLockState({ env, daCtx })).status, 404);
+    assert.strictEqual((await routes.releaseLock({ req: getReq(), env, daCtx })).status, 404);
+  });
+
+  it('refuses the lock of someone else', async () => {
+    await routes.postLock({ req: getReq(), env, daCtx });
+    const resp = await routes.postLock({ req: getReq(), env, daCtx: other });
+    assert.strictEqual(resp.status, 423);
+    assert.match(JSON.parse(resp.body).error, /^wknd\/sheet.json is locked by author@adobe.com until/);
+    assert.strictEqual((await routes.releaseLock({ req: getReq(), env, daCtx: other })).status, 423);
+  });
+
+  it('lets admins break a lock', async () => {
+    await routes.postLock({ req: getReq(), env, daCtx });
+    const force = getReq({}, `${LOCK_URL}?force=true`);
+    assert.strictEqual((await routes.releaseLock({ req: force, env, daCtx: other })).status, 403);
+    admin = true;
+    assert.strictEqual((await routes.releaseLock({ req: force, env, daCtx: other })).status, 204);
+  });
+
+  it('ignores expired locks', async () => {
+    const expired = { ...daCtx, owner: 'author@adobe.com', expires: new Date(Date.now() - 1000).toISOString() };
+    await env.DA_AUTH.put('lock-adobe/wknd/sheet.json', JSON.stringify(expired), { metadata: expired });
+    assert.strictEqual((await routes.postLock({ req: getReq(), env, daCtx: other })).status, 201);
+  });
+
+  it('validates the request', async () => {
+    const folder = { ...daCtx, key: 'wknd', isFile: false };
+    assert.strictEqual((await routes.postLock({ req: getReq(), env, daCtx: folder })).status, 400);
+    assert.strictEqual((await routes.getLockState({ env, daCtx: folder })).status, 400);
+    assert.strictEqual((await routes.releaseLock({ req: getReq(), env, daCtx: folder })).status, 400);
+    const anonymous = { ...daCtx, users: [{ email: 'anonymous' }] };
+    assert.strictEqual((await routes.postLock({ req: getReq(), env, daCtx: anonymous })).status, 401);
+    assert.strictEqual((await routes.postLock({ req: getReq({ ttl: '10' }), env, daCtx })).status, 400);
+    assert.strictEqual((await routes.postLock({ req: getReq({ ttl: 'soon' }), env, daCtx })).status, 400);
+  });
+
+  it('checks the locks of documents and folders', async () => {
+    await routes.postLock({ req: getReq(), env, daCtx });
+    assert.strictEqual(await checkLock(env, daCtx, 'wknd/sheet.json'), undefined);
+    assert.strictEqual((await checkLock(env, other, 'wknd/sheet.json')).status, 423);
+    assert.strictEqual((await checkLock(env, other, 'wknd', true)).status, 423);
+    assert.strictEqual(await checkLock(env, other, 'wknd/drafts', true), undefined);
+    assert.strictEqual(await checkLock(env, other, 'wknd/index.html'), undefined);
+  });
+
+  it('keeps the locks of hyphenated orgs apart', async () => {
+    const corp = { ...daCtx, org: 'adobe-corp' };
+    await routes.postLock({ req: getReq(), env, daCtx: corp });
+    const inAdobe = { ...other, key: 'corp-wknd/sheet.json' };
+    assert.strictEqual((await routes.getLockState({ env, daCtx: inAdobe })).status, 404);
+    assert.strictEqual(await checkLock(env, inAdobe, 'corp-wknd/sheet.json'), undefined);
+    assert.strictEqual(await checkLock(env, inAdobe, 'corp-wknd', true), undefined);
+    assert.strictEqual((await checkLock(env, { ...corp, users: other.users }, 'wknd', true)).status, 423);
+  });
+});
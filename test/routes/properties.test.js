@@ -0,0 +1,140 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import env from '../utils/mocks/env.js';
+import {
+  getProperties,
+  patchProperties,
+  putProperties,
+} from '../../src/routes/properties.js';
+
+const s3Mock = mockClient(S3Client);
+
+function getError(status) {
+  const error = new Error('S3 error');
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+function getReq(body) {
+  return new Request('https://admin.da.live/properties/adobe/wknd/index.html', {
+    method: 'PUT',
+    headers: { 'content-type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+}
+
+describe('Properties', () => {
+  const daCtx = {
+    org: 'adobe', key: 'wknd/index.html', propsKey: 'wknd/index.html.props', isFile: true,
+  };
+  let stored;
+
+  beforeEach(() => {
+    s3Mock.reset();
+    stored = { 'wknd/index.html.props': { owner: 'marketing', reviewed: false } };
+    s3Mock.on(GetObjectCommand).callsFake(({ Key }) => {
+      if (!stored[Key]) throw getError(404);
+      return { Body: { transformToString: async () => JSON.stringify(stored[Key]) } };
+    });
+    s3Mock.on(HeadObjectCommand).callsFake(({ Key }) => {
+      if (Key !== 'wknd/new.html') throw getError(404);
+      return {};
+    });
+    s3Mock.on(ListObjectsV2Command).callsFake(({ Prefix }) => ({
+      Contents: Prefix === 'wknd/drafts/' ? [{ Key: 'wknd/drafts/index.html' }] : [],
+    }));
+    s3Mock.on(PutObjectCommand).callsFake(({ Key, Body }) => {
+      stored[Key] = JSON.parse(Body);
+      return { $metadata: { httpStatusCode: 200 } };
+    });
+  });
+
+  it('gets the properties of a document', async () => {
+    const resp = await getProperties({ env, daCtx });
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(JSON.parse(resp.body), { owner: 'marketing', reviewed: false });
+  });
+
+  it('gets no properties of a document without a sidecar', async () => {
+    const ctx = { ...daCtx, key: 'wknd/new.html', propsKey: 'wknd/new.html.props' };
+    assert.deepStrictEqual(JSON.parse((await getProperties({ env, daCtx: ctx })).body), {});
+    const folder = { ...daCtx, key: 'wknd/drafts', propsKey: 'wknd/drafts.props', isFile: false };
+    assert.deepStrictEqual(JSON.parse((await getProperties({ env, daCtx: folder })).body), {});
+  });
+
+  it('returns not found for missing documents', async () => {
+    const ctx = { ...daCtx, key: 'wknd/gone.html', propsKey: 'wknd/gone.html.props' };
+    assert.strictEqual((await getProperties({ env, daCtx: ctx })).status, 404);
+    assert.strictEqual((await putProperties({ req: getReq({}), env, daCtx: ctx })).status, 404);
+  });
+
+  it('returns not found for missing folders', async () => {
+    const folder = { ...daCtx, key: 'wknd/typo', propsKey: 'wknd/typo.props', isFile: false };
+    assert.strictEqual((await getProperties({ env, daCtx: folder })).status, 404);
+    assert.strictEqual((await putProperties({ req: getReq({ a: 'b' }), env, daCtx: folder })).status, 404);
+    assert.strictEqual((await patchProperties({ req: getReq({ a: 'b' }), env, daCtx: folder })).status, 404);
+    assert.strictEqual(stored['wknd/typo.props'], undefined);
+  });
+
+  it('needs a path', async () => {
+    const org = { org: 'adobe', key: '' };
+    assert.strictEqual((await getProperties({ env, daCtx: org })).status, 400);
+    assert.strictEqual((await putProperties({ req: getReq({}), env, daCtx: org })).status, 400);
+    assert.strictEqual((await patchProperties({ req: getReq({}), env, daCtx: org })).status, 400);
+  });
+
+  it('replaces the properties', async () => {
+    const resp = await putProperties({ req: getReq({ owner: 'sales' }), env, daCtx });
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(stored['wknd/index.html.props'], { owner: 'sales' });
+  });
+
+  it('accepts properties as a form field', async () => {
+    const body = new FormData();
+    body.append('properties', '{"owner":"sales"}');
+    const req = new Request('https://admin.da.live/properties/adobe/wknd/index.html', { method: 'PUT', body });
+    assert.strictEqual((await putProperties({ req, env, daCtx })).status, 200);
+    assert.deepStrictEqual(stored['wknd/index.html.props'], { owner: 'sales' });
+  });
+
+  it('patches the properties', async () => {
+    const resp = await patchProperties({ req: getReq({ reviewed: true, owner: null, rating: 4 }), env, daCtx });
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(JSON.parse(resp.body), { reviewed: true, rating: 4 });
+  });
+
+  it('validates the properties', async () => {
+    const errorOf = async (body) => JSON.parse((await putProperties({ req: getReq(body), env, daCtx })).body).error;
+    assert.strictEqual(await errorOf('not json'), 'Properties must be a JSON object.');
+    assert.strictEqual(await errorOf([1]), 'Properties must be a JSON object.');
+    assert.strictEqual(await errorOf({ 'bad name': 'x' }), 'Invalid property name: bad name.');
+    assert.match(await errorOf({ nested: { a: 1 } }), /^Property nested must be/);
+    assert.match(await errorOf({ removed: null }), /^Property removed must be/);
+  });
+
+  it('limits the properties', async () => {
+    const many = Object.fromEntries([...Array(101).keys()].map((idx) => [`p${idx}`, 1]));
+    assert.strictEqual((await putProperties({ req: getReq(many), env, daCtx })).status, 413);
+    const large = Object.fromEntries([...Array(10).keys()].map((idx) => [`p${idx}`, 'x'.repeat(1000)]));
+    assert.strictEqual((await patchProperties({ req: getReq(large), env, daCtx })).status, 413);
+  });
+});
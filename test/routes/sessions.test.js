@@ -0,0 +1,104 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+import { isRevoked, isRevokedInOrg, putSession } from '../../src/storage/kv/sessions.js';
+
+import getKv from '../utils/mocks/kv.js';
+
+const DA_CONFIG = {
+  geometrixx: {
+    data: [
+      { key: 'admin.role.all', value: 'aparker@geometrixx.info' },
+      { key: 'author.role.all', value: 'Chad@geometrixx.info' },
+    ],
+    ':type': 'sheet',
+  },
+};
+
+function getEnv() {
+  return {
+    DA_CONFIG: { get: async (name) => DA_CONFIG[name] },
+    // Pages of one key to exercise the cursor
+    DA_AUTH: getKv({ pageSize: 1 }),
+  };
+}
+
+describe('Sessions', () => {
+  let routes;
+  let sessions = [];
+
+  before(async () => {
+    routes = await esmock('../../src/routes/sessions.js', {
+      '../../src/utils/auth.js': { getSessions: async () => sessions },
+    });
+  });
+
+  afterEach(() => { sessions = []; });
+
+  const daCtx = {
+    org: 'geometrixx',
+    key: 'chad@geometrixx.info',
+    path: '/sessions/geometrixx/Chad@geometrixx.info',
+    users: [{ email: 'aparker@geometrixx.info' }],
+  };
+
+  it('lists the sessions of org members only', async () => {
+    const env = getEnv();
+    await putSession(env, 'ABC@AdobeID', '{"email":"chad@geometrixx.info"}', 1000);
+    await putSession(env, 'DEF@AdobeID', '{"email":"other@wknd.com"}', 1000);
+
+    const resp = await routes.getSessionList({ env, daCtx });
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(JSON.parse(resp.body), [
+      { email: 'chad@geometrixx.info', expiration: 1000 },
+    ]);
+  });
+
+  it('revokes the access of an org member to the org only', async () => {
+    const env = getEnv();
+    await putSession(env, 'ABC@AdobeID', '{"email":"chad@geometrixx.info"}', 1000);
+
+    const resp = await routes.deleteSession({ env, daCtx });
+    assert.strictEqual(resp.status, 204);
+    assert(env.DA_AUTH.store.has('session-ABC@AdobeID'));
+    assert(!await isRevoked(env, 'ABC@AdobeID', Date.now() - 1000));
+    assert(await isRevokedInOrg(env, 'geometrixx', 'Chad@geometrixx.info', Date.now() - 1000));
+    assert(!await isRevokedInOrg(env, 'geometrixx', 'chad@geometrixx.info', Date.now() + 1000));
+    assert(!await isRevokedInOrg(env, 'wknd', 'chad@geometrixx.info', Date.now() - 1000));
+  });
+
+  it('does not revoke the access of other users', async () => {
+    const env = getEnv();
+    const key = 'other@wknd.com';
+
+    const resp = await routes.deleteSession({ env, daCtx: { ...daCtx, key } });
+    assert.strictEqual(resp.status, 404);
+    assert(!await isRevokedInOrg(env, 'geometrixx', key, Date.now() - 1000));
+  });
+
+  it('logs out the sessions of the request', async () => {
+    const env = getEnv();
+    await putSession(env, 'ABC@AdobeID', '{"email":"chad@geometrixx.info"}', 1000);
+    sessions = [{ userId: 'ABC@AdobeID' }];
+
+    const resp = await routes.logout({ req: {}, env, daCtx });
+    assert.strictEqual(resp.status, 204);
+    assert(await isRevoked(env, 'ABC@AdobeID', Date.now() - 1000));
+  });
+
+  it('cannot log out without a session', async () => {
+    const resp = await routes.logout({ req: {}, env: getEnv(), daCtx });
+    assert.strictEqual(resp.status, 401);
+  });
+});
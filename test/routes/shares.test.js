@@ -0,0 +1,126 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import { deleteShareLink, getShareList, postShare } from '../../src/routes/shares.js';
+import getDaCtx from '../../src/utils/daCtx.js';
+
+import getKv from '../utils/mocks/kv.js';
+import getFormReq from '../utils/mocks/form.js';
+
+const DA_CONFIG = {
+  geometrixx: {
+    data: [{ key: 'admin.role.all', value: 'aparker@geometrixx.info' }],
+    ':type': 'sheet',
+  },
+};
+
+function getEnv(vars = { DA_SHARE_SECRET: 'secret' }) {
+  return { ...vars, DA_CONFIG: { get: async (name) => DA_CONFIG[name] }, DA_AUTH: getKv() };
+}
+
+const daCtx = {
+  org: 'geometrixx',
+  key: 'site/drafts/review.html',
+  isFile: true,
+  origin: 'https://admin.da.live',
+  users: [{ email: 'aparker@geometrixx.info' }],
+};
+
+async function mint(env, fields) {
+  const resp = await postShare({ req: getFormReq(fields), env, daCtx });
+  assert.strictEqual(resp.status, 201);
+  return JSON.parse(resp.body);
+}
+
+describe('Share links', () => {
+  it('needs a secret to sign links', async () => {
+    const resp = await postShare({ req: getFormReq(), env: getEnv({}), daCtx });
+    assert.strictEqual(resp.status, 501);
+  });
+
+  it('only shares documents', async () => {
+    const folder = { ...daCtx, key: 'site/drafts', isFile: false };
+    const resp = await postShare({ req: getFormReq(), env: getEnv(), daCtx: folder });
+    assert.strictEqual(resp.status, 400);
+  });
+
+  it('validates the expiry and uses', async () => {
+    const past = await postShare({ req: getFormReq({ expires: '2000-01-01' }), env: getEnv(), daCtx });
+    assert.strictEqual(past.status, 400);
+    const far = new Date(Date.now() + 1000 * 60 * 60 * 24 * 60).toISOString();
+    const tooFar = await postShare({ req: getFormReq({ expires: far }), env: getEnv(), daCtx });
+    assert.strictEqual(tooFar.status, 400);
+    const uses = await postShare({ req: getFormReq({ uses: '-1' }), env: getEnv(), daCtx });
+    assert.strictEqual(uses.status, 400);
+  });
+
+  it('mints a link reading exactly the shared key', async () => {
+    const env = getEnv();
+    const share = await mint(env);
+    assert(share.url.startsWith('https://admin.da.live/source/geometrixx/site/drafts/review.html?share='));
+
+    const shared = await getDaCtx(new Request(share.url), env);
+    assert.strictEqual(shared.authorized, true);
+    assert.strictEqual(shared.users[0].email, `share:${share.id}`);
+
+    const head = await getDaCtx(new Request(share.url, { method: 'HEAD' }), env);
+    assert.strictEqual(head.authorized, true);
+
+    const put = await getDaCtx(new Request(share.url, { method: 'PUT' }), env);
+    assert.strictEqual(put.authorized, false);
+
+    const other = share.url.replace('review.html', 'other.html');
+    assert.strictEqual((await getDaCtx(new Request(other), env)).authorized, false);
+
+    const list = share.url.replace('/source/', '/list/');
+    assert.strictEqual((await getDaCtx(new Request(list), env)).authorized, false);
+  });
+
+  it('refuses tampered and unsigned links', async () => {
+    const env = getEnv();
+    const share = await mint(env);
+    const url = new URL(share.url);
+    url.searchParams.set('expires', `${Number(url.searchParams.get('expires')) + 60}`);
+    assert.strictEqual((await getDaCtx(new Request(url), env)).authorized, false);
+
+    url.searchParams.set('sig', '!!!');
+    assert.strictEqual((await getDaCtx(new Request(url), env)).authorized, false);
+
+    const unsigned = getEnv({});
+    unsigned.DA_AUTH = env.DA_AUTH;
+    assert.strictEqual((await getDaCtx(new Request(share.url), unsigned)).authorized, false);
+  });
+
+  it('caps the uses of a link', async () => {
+    const env = getEnv();
+    const share = await mint(env, { uses: '1' });
+    const head = await getDaCtx(new Request(share.url, { method: 'HEAD' }), env);
+    assert.strictEqual(head.authorized, true);
+    assert.strictEqual((await getDaCtx(new Request(share.url), env)).authorized, true);
+    assert.strictEqual((await getDaCtx(new Request(share.url), env)).authorized, false);
+  });
+
+  it('lists and revokes links', async () => {
+    const env = getEnv();
+    const share = await mint(env);
+
+    const list = JSON.parse((await getShareList({ env, daCtx })).body);
+    assert.deepStrictEqual(list.map(({ id }) => id), [share.id]);
+
+    const missing = await deleteShareLink({ env, daCtx: { ...daCtx, key: 'nope' } });
+    assert.strictEqual(missing.status, 404);
+    const resp = await deleteShareLink({ env, daCtx: { ...daCtx, key: share.id } });
+    assert.strictEqual(resp.status, 204);
+    assert.strictEqual((await getDaCtx(new Request(share.url), env)).authorized, false);
+  });
+});
@@ -12,6 +12,8 @@
 import assert from 'assert';
 import esmock from 'esmock';
 
+const UNLOCKED = { checkLock: async () => undefined };
+
 
 describe('Source Route', () => {
   it('Test invalidate using service binding', async () => {
@@ -33,6 +35,8 @@ describe('Source Route', () => {
 
     const { postSource } = await esmock(
       '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/utils/lock.js': UNLOCKED,
         '../../src/storage/object/put.js': {
           default: putResp
       }
@@ -54,6 +58,8 @@ describe('Source Route', () => {
   it('Test postSource from collab does not trigger invalidate callback', async () => {
     const { postSource } = await esmock(
       '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/utils/lock.js': UNLOCKED,
         '../../src/storage/object/put.js': {
           default: async () => ({ status: 201 })
       }
@@ -72,7 +78,8 @@ describe('Source Route', () => {
 
       const req = {
         headers,
-        url: 'http://localhost:8787/source/a/b/mydoc.html'
+        url: 'http://localhost:8787/source/a/b/mydoc.html',
+        blob: async () => new Blob(['<html></html>']),
       };
 
       const env = { DA_COLLAB: 'http://localhost:1234' };
@@ -90,6 +97,8 @@ describe('Source Route', () => {
     const callbacks = [];
     const { postSource } = await esmock(
       '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/utils/lock.js': UNLOCKED,
         '../../src/storage/object/put.js': {
           default: async () => ({ status: 500 })
       }
@@ -107,7 +116,8 @@ describe('Source Route', () => {
 
       const req = {
         headers,
-        url: 'http://localhost:8787/source/a/b/mydoc.html'
+        url: 'http://localhost:8787/source/a/b/mydoc.html',
+        blob: async () => new Blob(['<html></html>']),
       };
 
       const env = { DA_COLLAB: 'http://localhost:1234' };
@@ -135,6 +145,8 @@ describe('Source Route', () => {
 
     const { getSource } = await esmock(
       '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/utils/lock.js': UNLOCKED,
         '../../src/storage/object/get.js': {
           default: getResp
         }
@@ -145,6 +157,162 @@ describe('Source Route', () => {
     assert.deepStrictEqual(called, ['getObject']);
   });
 
+  it('Test getSource returns the lock of a document', async () => {
+    const lock = { owner: 'author@adobe.com', expires: '2099-01-01T00:00:00.000Z' };
+    const { getSource } = await esmock(
+      '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async (e, org, key) => key === 'a/b.json' && lock },
+        '../../src/storage/object/get.js': {
+          default: async () => ({ status: 200, body: '{}' }),
+        }
+      }
+    );
+    const req = new Request('http://localhost:9876/source/org/a/b.json');
+    const resp = await getSource({ req, env: {}, daCtx: { org: 'org', key: 'a/b.json', isFile: true } });
+    assert.deepStrictEqual(resp, { status: 200, body: '{}', lock });
+  });
+
+  it('Test getSource queries sheets', async () => {
+    const sheet = { total: 2, offset: 0, limit: 2, data: [{ key: 'a' }, { key: 'b' }], ':type': 'sheet' };
+    const ranges = [];
+    const { getSource } = await esmock(
+      '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/storage/object/get.js': {
+          default: async (e, c, head, { range }) => {
+            ranges.push(range);
+            return {
+              status: 200, body: c.key === 'a/b.json' ? JSON.stringify(sheet) : '<html>', etag: '"abc"', contentLength: 90, acceptRanges: 'bytes',
+            };
+          },
+        }
+      }
+    );
+    const daCtx = { org: 'org', key: 'a/b.json', ext: 'json', isFile: true };
+    const req = new Request('http://localhost:9876/source/org/a/b.json?filter.key=b', { headers: { range: 'bytes=0-10' } });
+    const resp = await getSource({ req, env: {}, daCtx });
+    assert.deepStrictEqual(JSON.parse(resp.body), { ...sheet, total: 1, limit: 1, data: [{ key: 'b' }] });
+    assert.strictEqual(resp.etag, '"abc"');
+    assert.strictEqual(resp.contentLength, undefined);
+    assert.strictEqual(resp.acceptRanges, undefined);
+    assert.deepStrictEqual(ranges, [undefined]);
+
+    const invalid = new Request('http://localhost:9876/source/org/a/b.json?limit=x');
+    assert.strictEqual((await getSource({ req: invalid, env: {}, daCtx })).status, 400);
+
+    const notSheet = { ...daCtx, key: 'a/c.json' };
+    assert.strictEqual((await getSource({ req, env: {}, daCtx: notSheet })).status, 422);
+  });
+
+  it('Test getSource exports sheets as CSV', async () => {
+    const multi = {
+      redirects: { total: 1, offset: 0, limit: 1, data: [{ source: '/a', destination: '/b, /c' }] },
+      other: { total: 1, offset: 0, limit: 1, data: [{ key: 'x' }] },
+      ':names': ['redirects', 'other'],
+      ':type': 'multi-sheet',
+    };
+    const conditions = [];
+    const { getSource } = await esmock(
+      '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/storage/object/get.js': {
+          default: async (e, c, head, cond) => {
+            conditions.push(cond);
+            return { status: 200, body: JSON.stringify(multi), etag: '"json"', lastModified: 'Thu, 21 Mar 2024 10:00:00 GMT' };
+          },
+        }
+      }
+    );
+    const daCtx = { org: 'org', key: 'a/b.json', ext: 'json', isFile: true };
+    const getReq = (search, headers = {}) => new Request(`http://localhost:9876/source/org/a/b.json${search}`, {
+      headers: { accept: 'text/csv', 'if-none-match': '"json"', ...headers },
+    });
+
+    const resp = await getSource({ req: getReq(''), env: {}, daCtx });
+    assert.strictEqual(resp.body, 'source,destination\r\n/a,"/b, /c"\r\n');
+    assert.strictEqual(resp.contentType, 'text/csv; charset=utf-8');
+    assert.notStrictEqual(resp.etag, '"json"');
+    assert.deepStrictEqual(conditions[0], { range: undefined });
+
+    const other = await getSource({ req: getReq('?sheet=other'), env: {}, daCtx });
+    assert.strictEqual(other.body, 'key\r\nx\r\n');
+
+    const cached = await getSource({ req: getReq('', { 'if-none-match': resp.etag }), env: {}, daCtx });
+    assert.strictEqual(cached.status, 304);
+    assert.strictEqual(cached.body, undefined);
+  });
+
+  it('Test postSource imports CSV', async () => {
+    const current = {
+      redirects: { total: 0, offset: 0, limit: 0, data: [] },
+      ':names': ['redirects'],
+      ':version': 3,
+      ':type': 'multi-sheet',
+    };
+    const stored = [];
+    const { postSource } = await esmock(
+      '../../src/routes/source.js', {
+        '../../src/utils/lock.js': UNLOCKED,
+        '../../src/storage/object/get.js': {
+          default: async () => ({ status: 200, body: JSON.stringify(current) }),
+        },
+        '../../src/storage/object/put.js': {
+          default: async (e, c, obj) => {
+            stored.push({ type: obj.data.type, json: JSON.parse(await obj.data.text()) });
+            return { status: 201 };
+          },
+        },
+      }
+    );
+    const env = { dacollab: { fetch: async () => {} } };
+    const daCtx = { org: 'org', key: 'a/b.json', ext: 'json', filename: 'b.json' };
+    const getReq = (search, body) => new Request(`http://localhost:9876/source/org/a/b.json${search}`, {
+      method: 'PUT', headers: { 'content-type': 'text/csv' }, body,
+    });
+
+    assert.strictEqual((await postSource({ req: getReq('', '\uFEFFkey\r\nx\r\n'), env, daCtx })).status, 201);
+    assert.deepStrictEqual(stored[0], {
+      type: 'application/json',
+      json: { total: 1, offset: 0, limit: 1, data: [{ key: 'x' }], ':type': 'sheet' },
+    });
+
+    await postSource({ req: getReq('?sheet=placeholders', 'key,text\n"a","line\nbreak"\n'), env, daCtx });
+    assert.deepStrictEqual(stored[1].json[':names'], ['redirects', 'placeholders']);
+    assert.deepStrictEqual(stored[1].json.placeholders.data, [{ key: 'a', text: 'line\nbreak' }]);
+
+    assert.strictEqual((await postSource({ req: getReq('', 'a,a\n'), env, daCtx })).status, 400);
+    assert.strictEqual((await postSource({ req: getReq('?sheet=:names', 'a\n'), env, daCtx })).status, 400);
+    assert.strictEqual(stored.length, 2);
+  });
+
+  it('Test postSource refuses locked documents', async () => {
+    const { postSource } = await esmock(
+      '../../src/routes/source.js', {
+        '../../src/utils/lock.js': { checkLock: async () => ({ status: 423 }) },
+        '../../src/storage/object/put.js': {
+          default: async () => assert.fail('should not put the object'),
+        }
+      }
+    );
+    const resp = await postSource({ req: {}, env: {}, daCtx: { key: 'a/b.json' } });
+    assert.equal(423, resp.status);
+  });
+
+  it('Test getSource refuses multiple ranges', async () => {
+    const { getSource } = await esmock(
+      '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/utils/lock.js': UNLOCKED,
+        '../../src/storage/object/get.js': {
+          default: async () => assert.fail('should not get the object'),
+        }
+      }
+    );
+    const req = new Request('http://localhost:9876/source/a/b.mp4', { headers: { range: 'bytes=0-1,4-5' } });
+    const resp = await getSource({ req, env: {}, daCtx: {} });
+    assert.equal(416, resp.status);
+  });
+
   it('Test getSource with', async () => {
     const env = {};
     const daCtx = {};
@@ -157,6 +325,8 @@ describe('Source Route', () => {
 
     const { deleteSource } = await esmock(
       '../../src/routes/source.js', {
+        '../../src/storage/kv/locks.js': { getLock: async () => null },
+        '../../src/utils/lock.js': UNLOCKED,
         '../../src/storage/object/delete.js': {
           default: deleteResp
         }
@@ -0,0 +1,47 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+describe('Trash routes', () => {
+  const ID = '1000-4d61a613-24ab-4050-b463-8fd56ee7bed4';
+  let routes;
+  let called;
+
+  before(async () => {
+    routes = await esmock('../../src/routes/trash.js', {
+      '../../src/storage/trash/restore.js': { default: async (e, c, id) => called.push(['restore', id]) && { status: 200 } },
+      '../../src/storage/trash/purge.js': {
+        purgeTrashEntry: async (e, c, id) => called.push(['purge', id]) && { status: 204 },
+        purgeExpiredTrash: async () => called.push(['expired']) && { status: 200 },
+      },
+    });
+  });
+
+  beforeEach(() => {
+    called = [];
+  });
+
+  it('refuses invalid ids', async () => {
+    const daCtx = { org: 'adobe', key: 'wknd/index.html' };
+    assert.strictEqual((await routes.postTrash({ daCtx })).status, 400);
+    assert.strictEqual((await routes.deleteTrash({ daCtx })).status, 400);
+    assert.strictEqual(called.length, 0);
+  });
+
+  it('restores and purges entries', async () => {
+    assert.strictEqual((await routes.postTrash({ daCtx: { org: 'adobe', key: ID } })).status, 200);
+    assert.strictEqual((await routes.deleteTrash({ daCtx: { org: 'adobe', key: ID } })).status, 204);
+    assert.strictEqual((await routes.deleteTrash({ daCtx: { org: 'adobe', key: '' } })).status, 200);
+    assert.deepStrictEqual(called, [['restore', ID], ['purge', ID], ['expired']]);
+  });
+});
@@ -0,0 +1,72 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import esmock from 'esmock';
+
+import env from '../utils/mocks/env.js';
+import getFormReq from '../utils/mocks/form.js';
+
+describe('Upload routes', () => {
+  const daCtx = { org: 'adobe', key: 'wknd/hero.png', ext: 'png', isFile: true };
+  let routes;
+  let started;
+  let locked;
+
+  before(async () => {
+    routes = await esmock('../../src/routes/upload.js', {
+      '../../src/storage/object/upload.js': {
+        createUpload: async (e, c, details) => {
+          started.push(details);
+          return { status: 200 };
+        },
+        finalizeUpload: async () => ({ status: 201 }),
+      },
+      '../../src/utils/lock.js': { checkLock: async () => locked },
+    });
+  });
+
+  beforeEach(() => {
+    started = [];
+    locked = undefined;
+  });
+
+  it('only uploads files', async () => {
+    const folder = { ...daCtx, isFile: false };
+    assert.strictEqual((await routes.postUpload({ req: getFormReq({}), env, daCtx: folder })).status, 400);
+    assert.strictEqual((await routes.postUploadFinalize({ req: getFormReq({}), env, daCtx: folder })).status, 400);
+  });
+
+  it('refuses types before presigning', async () => {
+    const resp = await routes.postUpload({ req: getFormReq({ type: 'text/html' }), env, daCtx });
+    assert.strictEqual(resp.status, 415);
+    assert.strictEqual(started.length, 0);
+  });
+
+  it('starts and finalizes uploads', async () => {
+    const resp = await routes.postUpload({ req: getFormReq({ type: 'image/png; x=1' }), env, daCtx });
+    assert.strictEqual(resp.status, 200);
+    assert.deepStrictEqual(started, [{ type: 'image/png', parts: undefined }]);
+
+    const bad = await routes.postUploadFinalize({ req: getFormReq({}), env, daCtx });
+    assert.strictEqual(bad.status, 400);
+    const id = '0f8fad5b-d9cb-469f-a165-70867728950e';
+    const done = await routes.postUploadFinalize({ req: getFormReq({ id }), env, daCtx });
+    assert.strictEqual(done.status, 201);
+  });
+
+  it('refuses to finalize uploads to locked documents', async () => {
+    locked = { status: 423 };
+    const id = '0f8fad5b-d9cb-469f-a165-70867728950e';
+    const resp = await routes.postUploadFinalize({ req: getFormReq({ id }), env, daCtx });
+    assert.strictEqual(resp.status, 423);
+  });
+});
@@ -0,0 +1,62 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import getWhoami from '../../src/routes/whoami.js';
+
+const DA_CONFIG = {
+  geometrixx: {
+    data: {
+      data: [{ key: 'admin.role.all', value: 'aparker@geometrixx.info' }],
+    },
+    permissions: {
+      data: [{ path: '/site/drafts/**', read: '', write: 'contractor@geometrixx.info' }],
+    },
+    ':type': 'multi-sheet',
+  },
+};
+
+const env = { DA_CONFIG: { get: async (name) => DA_CONFIG[name] } };
+
+describe('Whoami', () => {
+  it('reports the operations of each user on the path', async () => {
+    const daCtx = {
+      org: 'geometrixx',
+      key: 'site/drafts/page.html',
+      users: [
+        { email: 'aparker@geometrixx.info' },
+        { email: 'contractor@geometrixx.info' },
+        { email: 'anonymous' },
+        { email: 'apikey:ci', apiKey: { org: 'geometrixx', paths: ['/'], operations: ['read'], createdBy: ['aparker@geometrixx.info'] } },
+      ],
+    };
+
+    const resp = await getWhoami({ env, daCtx });
+    assert.strictEqual(resp.status, 200);
+
+    const { path, users } = JSON.parse(resp.body);
+    assert.strictEqual(path, '/site/drafts/page.html');
+    assert.deepStrictEqual(users[0].operations, ['read', 'write', 'delete', 'admin']);
+    assert.deepStrictEqual(users[1].operations, ['read', 'write']);
+    assert.strictEqual(users[1].authorized, true);
+    assert.deepStrictEqual(users[2].operations, []);
+    assert.strictEqual(users[2].authorized, false);
+    assert.deepStrictEqual(users[3].operations, ['read']);
+  });
+
+  it('reports full access without an org', async () => {
+    const resp = await getWhoami({ env, daCtx: { key: '', users: [{ email: 'anonymous' }] } });
+    const { users } = JSON.parse(resp.body);
+    assert.strictEqual(users[0].authorized, true);
+    assert.deepStrictEqual(users[0].operations, ['read', 'write', 'delete', 'admin']);
+  });
+});
@@ -0,0 +1,197 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'node:assert';
+import {
+  GetObjectCommand, ListObjectsV2Command, PutObjectCommand, S3Client,
+} from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import putAuditRecord, { getAuditDayPrefix } from '../../../src/storage/audit/put.js';
+import listAuditRecords, { MAX_FETCHES } from '../../../src/storage/audit/list.js';
+import auditHelper from '../../../src/helpers/audit.js';
+
+const s3Mock = mockClient(S3Client);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Audit', () => {
+  beforeEach(() => {
+    s3Mock.reset();
+  });
+
+  const daCtx = {
+    org: 'adobe', api: 'source', key: 'wknd/index.html', users: [{ email: 'aparker@geometrixx.info' }],
+  };
+
+  describe('put', () => {
+    it('gets the folder of a day', () => {
+      assert.strictEqual(getAuditDayPrefix(Date.UTC(2024, 2, 1, 23)), '.da-audit/2024/03/01/');
+    });
+
+    it('appends a record', async () => {
+      const sent = [];
+      s3Mock.on(PutObjectCommand).callsFake((input) => sent.push(input));
+
+      const req = new Request('https://admin.da.live/copy/adobe/wknd', {
+        method: 'POST', headers: { 'x-da-initiator': 'collab' },
+      });
+      await putAuditRecord({}, daCtx, req, { status: 204, destination: 'wknd-copy' });
+
+      assert.strictEqual(sent[0].Bucket, 'adobe-content');
+      assert(sent[0].Key.startsWith(getAuditDayPrefix(Date.now())));
+      const record = JSON.parse(sent[0].Body);
+      assert.strictEqual(record.method, 'POST');
+      assert.strictEqual(record.route, 'source');
+      assert.strictEqual(record.destination, 'wknd-copy');
+      assert.strictEqual(record.initiator, 'collab');
+      assert.deepStrictEqual(record.users, daCtx.users);
+    });
+
+    it('does not fail when the record cannot be written', async () => {
+      s3Mock.on(PutObjectCommand).rejects(new Error('nope'));
+      const req = new Request('https://admin.da.live/source/adobe/wknd', { method: 'DELETE' });
+      await putAuditRecord({}, daCtx, req, { status: 204 });
+    });
+  });
+
+  describe('list', () => {
+    const now = Date.UTC(2024, 2, 2, 12);
+    const records = {
+      [`${getAuditDayPrefix(now - DAY)}${now - DAY}-a.json`]: { users: [{ email: 'aparker@geometrixx.info' }], key: 'wknd/drafts/page.html' },
+      [`${getAuditDayPrefix(now)}${now - 1000}-b.json`]: { users: [{ email: 'chad@geometrixx.info' }], key: 'wknd', destination: 'wknd/drafts/copy' },
+      [`${getAuditDayPrefix(now)}${now}-c.json`]: { users: [{ email: 'chad@geometrixx.info' }], key: 'other/page.html' },
+    };
+
+    beforeEach(() => {
+      s3Mock.on(ListObjectsV2Command).callsFake(({ Prefix }) => ({
+        Contents: Object.keys(records).filter((Key) => Key.startsWith(Prefix)).map((Key) => ({ Key })),
+      }));
+      s3Mock.on(GetObjectCommand).callsFake(({ Key }) => ({
+        Body: { transformToString: async () => JSON.stringify({ id: Key.split('-').pop(), ...records[Key] }) },
+      }));
+    });
+
+    const list = async (filters) => {
+      const resp = await listAuditRecords({}, daCtx, {
+        from: now - 2 * DAY, to: now, limit: 100, ...filters,
+      });
+      const body = JSON.parse(resp.body);
+      return (resp.status === 206 ? body.records : body).map(({ id }) => id);
+    };
+
+    it('lists the records of the range', async () => {
+      assert.deepStrictEqual(await list(), ['a.json', 'b.json', 'c.json']);
+      assert.deepStrictEqual(await list({ from: now - 1000 }), ['b.json', 'c.json']);
+      assert.deepStrictEqual(await list({ limit: 1 }), ['a.json']);
+    });
+
+    it('filters by user', async () => {
+      assert.deepStrictEqual(await list({ user: 'chad@geometrixx.info' }), ['b.json', 'c.json']);
+    });
+
+    it('filters by path of the key or destination', async () => {
+      assert.deepStrictEqual(await list({ path: '/wknd/drafts' }), ['a.json', 'b.json']);
+    });
+
+    it('fetches the records of a busy day in batches up to the limit', async () => {
+      const busy = Array.from({ length: 100 }, (_, i) => `${getAuditDayPrefix(now)}${now - i}-${i}.json`);
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: busy.map((Key) => ({ Key })) });
+      let fetching = 0;
+      let maxFetching = 0;
+      let fetched = 0;
+      s3Mock.on(GetObjectCommand).callsFake(async () => {
+        fetching += 1;
+        fetched += 1;
+        maxFetching = Math.max(maxFetching, fetching);
+        await new Promise((resolve) => { setTimeout(resolve, 1); });
+        fetching -= 1;
+        return { Body: { transformToString: async () => JSON.stringify({ users: [] }) } };
+      });
+
+      assert.strictEqual((await list({ limit: 30 })).length, 30);
+      assert.strictEqual(fetched, 40);
+      assert.strictEqual(maxFetching, 20);
+    });
+
+    it('continues after the limit', async () => {
+      const first = await listAuditRecords({}, daCtx, { from: now - 2 * DAY, to: now, limit: 1 });
+      assert.strictEqual(first.status, 206);
+      const { records: [a], continuationToken } = JSON.parse(first.body);
+      assert.strictEqual(a.id, 'a.json');
+
+      assert.deepStrictEqual(await list({ continuationToken }), ['b.json', 'c.json']);
+    });
+
+    it('caps the records fetched by a request', async () => {
+      const busy = Array.from({ length: 300 }, (_, i) => `${getAuditDayPrefix(now)}${now - i}-${i}.json`);
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: busy.map((Key) => ({ Key })) });
+      let fetched = 0;
+      s3Mock.on(GetObjectCommand).callsFake(async () => {
+        fetched += 1;
+        return { Body: { transformToString: async () => JSON.stringify({ users: [] }) } };
+      });
+      const filters = {
+        from: now - DAY, to: now, limit: 100, user: 'chad@geometrixx.info',
+      };
+
+      const first = await listAuditRecords({}, daCtx, filters);
+      assert.strictEqual(first.status, 206);
+      const { records, continuationToken } = JSON.parse(first.body);
+      assert.deepStrictEqual(records, []);
+      assert.strictEqual(fetched, MAX_FETCHES);
+      assert.strictEqual(continuationToken, busy.sort()[MAX_FETCHES - 1]);
+
+      const rest = await listAuditRecords({}, daCtx, { ...filters, continuationToken });
+      assert.strictEqual(rest.status, 200);
+      assert.strictEqual(fetched, 300);
+    });
+
+    it('returns the status of errors', async () => {
+      s3Mock.on(ListObjectsV2Command).rejects(new Error('nope'));
+      const resp = await listAuditRecords({}, daCtx, { from: now, to: now, limit: 1 });
+      assert.strictEqual(resp.status, 500);
+
+      const denied = new Error('denied');
+      denied.$metadata = { httpStatusCode: 403 };
+      s3Mock.on(ListObjectsV2Command).rejects(denied);
+      assert.strictEqual((await listAuditRecords({}, daCtx, { from: now, to: now, limit: 1 })).status, 403);
+    });
+  });
+
+  describe('helper', () => {
+    it('defaults to the last day', () => {
+      const { from, to, limit } = auditHelper({ url: 'https://admin.da.live/audit/adobe' });
+      assert.strictEqual(to - from, DAY);
+      assert.strictEqual(limit, 100);
+    });
+
+    it('parses the filters', () => {
+      const url = 'https://admin.da.live/audit/adobe?from=2024-03-01&to=1709337600000&user=Chad@Geometrixx.info&path=wknd/Drafts/&limit=5000&continuation-token=.da-audit/2024/03/01/1709251200000-a1.json';
+      assert.deepStrictEqual(auditHelper({ url }), {
+        from: Date.UTC(2024, 2, 1),
+        to: 1709337600000,
+        limit: 1000,
+        user: 'chad@geometrixx.info',
+        path: '/wknd/drafts',
+        continuationToken: '.da-audit/2024/03/01/1709251200000-a1.json',
+      });
+    });
+
+    it('rejects invalid ranges', () => {
+      const base = 'https://admin.da.live/audit/adobe';
+      assert.strictEqual(auditHelper({ url: `${base}?from=yesterday` }).error.status, 400);
+      assert.strictEqual(auditHelper({ url: `${base}?from=2024-03-02&to=2024-03-01` }).error.status, 400);
+      assert.strictEqual(auditHelper({ url: `${base}?from=2024-01-01&to=2024-03-01` }).error.status, 400);
+      assert.strictEqual(auditHelper({ url: `${base}?continuation-token=.da-versions/x.json` }).error.status, 400);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getApiKeyUser,
+} from '../../../src/storage/kv/apikeys.js';
+import apiKeyHelper from '../../../src/helpers/apikey.js';
+
+import getKv from '../../utils/mocks/kv.js';
+import getFormReq from '../../utils/mocks/form.js';
+
+const getEnv = () => ({ DA_AUTH: getKv() });
+
+describe('API keys', () => {
+  const daCtx = { org: 'geometrixx', users: [{ email: 'aparker@geometrixx.info' }] };
+  const details = {
+    name: 'ci-bot', paths: ['/site/drafts'], operations: ['write'], expires: null,
+  };
+
+  it('creates a key that is only stored hashed', async () => {
+    const env = getEnv();
+    const resp = await createApiKey(env, daCtx, details);
+    assert.strictEqual(resp.status, 201);
+
+    const { key, id, createdBy } = JSON.parse(resp.body);
+    assert(key.startsWith('dak_'));
+    assert.deepStrictEqual(createdBy, ['aparker@geometrixx.info']);
+    assert(!JSON.stringify([...env.DA_AUTH.store.values()]).includes(key));
+
+    const list = JSON.parse((await listApiKeys(env, daCtx)).body);
+    assert.strictEqual(list[0].id, id);
+    assert.strictEqual(list[0].key, undefined);
+    assert.strictEqual(list[0].hash, undefined);
+  });
+
+  it('resolves a key to a synthetic user', async () => {
+    const env = getEnv();
+    const { key, id } = JSON.parse((await createApiKey(env, daCtx, details)).body);
+    const user = await getApiKeyUser(key, env);
+    assert.strictEqual(user.email, 'apikey:ci-bot');
+    assert.deepStrictEqual(user.apiKey, {
+      id, org: 'geometrixx', paths: ['/site/drafts'], operations: ['write'], createdBy: ['aparker@geometrixx.info'],
+    });
+    assert.strictEqual(await getApiKeyUser('dak_unknown', env), null);
+  });
+
+  it('does not resolve expired keys', async () => {
+    const env = getEnv();
+    const expires = new Date(Date.now() + 60000).toISOString();
+    const { key } = JSON.parse((await createApiKey(env, daCtx, { ...details, expires })).body);
+    const [stored] = [...env.DA_AUTH.store.values()];
+    assert(stored.opts.expiration);
+
+    const record = JSON.parse(stored.value);
+    record.expires = new Date(Date.now() - 1000).toISOString();
+    stored.value = JSON.stringify(record);
+    assert.strictEqual(await getApiKeyUser(key, env), null);
+  });
+
+  it('revokes a key', async () => {
+    const env = getEnv();
+    const { key, id } = JSON.parse((await createApiKey(env, daCtx, details)).body);
+    assert.strictEqual((await revokeApiKey(env, daCtx, id)).status, 204);
+    assert.strictEqual(await getApiKeyUser(key, env), null);
+    assert.deepStrictEqual(JSON.parse((await listApiKeys(env, daCtx)).body), []);
+    assert.strictEqual((await revokeApiKey(env, daCtx, id)).status, 404);
+  });
+
+  describe('helper', () => {
+    it('applies defaults', async () => {
+      const parsed = await apiKeyHelper(getFormReq({ name: 'importer' }));
+      assert.deepStrictEqual(parsed, {
+        name: 'importer', paths: ['/'], operations: ['read'], expires: null,
+      });
+    });
+
+    it('sanitizes paths', async () => {
+      const parsed = await apiKeyHelper(getFormReq({ name: 'importer', paths: 'Site/Drafts/, /site/media', operations: 'read, write' }));
+      assert.deepStrictEqual(parsed.paths, ['/site/drafts', '/site/media']);
+      assert.deepStrictEqual(parsed.operations, ['read', 'write']);
+    });
+
+    it('rejects invalid input', async () => {
+      assert.strictEqual((await apiKeyHelper({ formData: async () => null })).error.status, 400);
+      assert.strictEqual((await apiKeyHelper(getFormReq({}))).error.status, 400);
+      assert.strictEqual((await apiKeyHelper(getFormReq({ name: 'a', operations: 'admin' }))).error.status, 400);
+      assert.strictEqual((await apiKeyHelper(getFormReq({ name: 'a', expires: 'yesterday' }))).error.status, 400);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import {
+  deleteShare,
+  getShare,
+  listShares,
+  putShare,
+} from '../../../src/storage/kv/shares.js';
+
+import getKv from '../../utils/mocks/kv.js';
+
+function getShareOf(org, id) {
+  const expires = new Date(Date.now() + 1000 * 60 * 60).toISOString();
+  return {
+    id, org, key: 'site/index.html', expires, uses: null, used: 0,
+  };
+}
+
+describe('Share storage', () => {
+  it('keeps the shares of hyphenated orgs apart', async () => {
+    const env = { DA_AUTH: getKv() };
+    await putShare(env, getShareOf('acme-corp', 'x1'));
+    await putShare(env, getShareOf('acme', 'y1'));
+
+    assert.strictEqual(await getShare(env, 'acme', 'corp-x1'), null);
+    assert.strictEqual(await deleteShare(env, 'acme', 'corp-x1'), false);
+    assert.strictEqual((await getShare(env, 'acme-corp', 'x1')).id, 'x1');
+
+    assert.deepStrictEqual((await listShares(env, 'acme')).map(({ id }) => id), ['y1']);
+    assert.deepStrictEqual((await listShares(env, 'acme-corp')).map(({ id }) => id), ['x1']);
+  });
+
+  it('checks the org of the record', async () => {
+    const env = { DA_AUTH: getKv() };
+    await env.DA_AUTH.put('share-acme/x1', JSON.stringify(getShareOf('acme-corp', 'x1')));
+
+    assert.strictEqual(await getShare(env, 'acme', 'x1'), null);
+    assert.strictEqual(await deleteShare(env, 'acme', 'x1'), false);
+    assert(env.DA_AUTH.store.has('share-acme/x1'));
+  });
+
+  it('deletes the shares of the org', async () => {
+    const env = { DA_AUTH: getKv() };
+    await putShare(env, getShareOf('acme', 'x1'));
+    assert.strictEqual(await deleteShare(env, 'acme', 'x1'), true);
+    assert.deepStrictEqual(await listShares(env, 'acme'), []);
+  });
+});
@@ -294,6 +294,18 @@ describe('Object copy', () => {
     });
   });
 
+  it('Copies the properties of a file', async () => {
+    const s3Sent = [];
+    s3Mock.on(CopyObjectCommand).callsFake((input) => { s3Sent.push(input); });
+    const ctx = {
+      org: 'foo', key: 'mydir/page.html', ext: 'html', origin: 'somehost.sometld', users: [],
+    };
+    const details = { source: 'mydir/page.html', destination: 'mydir/copy.html' };
+    const resp = await copyObject({ dacollab: { fetch: () => {} } }, ctx, details, false);
+    assert.strictEqual(resp.status, 204);
+    assert.deepStrictEqual(s3Sent.map(({ Key }) => Key), ['mydir/copy.html', 'mydir/copy.html.props']);
+  });
+
   describe('Copies a list of files', async () => {
     it('handles no continuation token', async () => {
       s3Mock.on(ListObjectsV2Command).resolves({
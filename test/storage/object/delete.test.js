@@ -12,7 +12,9 @@
 import assert from 'node:assert';
 import esmock from 'esmock';
 import { mockClient } from 'aws-sdk-client-mock';
-import { DeleteObjectCommand, ListObjectsV2Command, S3Client } from '@aws-sdk/client-s3';
+import {
+  CopyObjectCommand, DeleteObjectCommand, ListObjectsV2Command, PutObjectCommand, S3Client,
+} from '@aws-sdk/client-s3';
 
 const s3Mock = mockClient(S3Client);
 
@@ -294,5 +296,77 @@ describe('Object delete', () => {
       const resp = await deleteObjects(env, daCtx, {});
       assert.strictEqual(resp.status, 206);
     });
+
+    it('Moves the objects into the trash', async () => {
+      const daCtx = {
+        org: 'testorg', key: 'foo', users: [{ email: 'a@b.com' }],
+      };
+      const env = { dacollab: { fetch: () => {} } };
+      const deleted = [];
+      const deleteObjects = await esmock(
+        '../../../src/storage/object/delete.js',
+        {
+          '@aws-sdk/s3-request-presigner': {
+            getSignedUrl: async (cl, cm) => cm.input.Key,
+          },
+        },
+        {
+          import: {
+            fetch: async (url) => deleted.push(url) && { status: 204 },
+          },
+        },
+      );
+      const notFound = new Error('Not found');
+      notFound.$metadata = { httpStatusCode: 404 };
+      s3Mock.on(ListObjectsV2Command).resolves({ Contents: [{ Key: 'foo/bar.html' }] });
+      s3Mock.on(CopyObjectCommand).rejects(notFound);
+      s3Mock.on(CopyObjectCommand, { CopySource: 'testorg-content/foo.props' }).resolves({});
+      s3Mock.on(CopyObjectCommand, { CopySource: 'testorg-content/foo/bar.html' }).resolves({});
+
+      const resp = await deleteObjects(env, daCtx, {});
+      assert.strictEqual(resp.status, 204);
+      assert.deepStrictEqual(deleted, ['foo.props', 'foo/bar.html']);
+
+      const [copy] = s3Mock.commandCalls(CopyObjectCommand, { CopySource: 'testorg-content/foo/bar.html' });
+      assert.match(copy.args[0].input.Key, /^\.da-trash\/\d+-[0-9a-f-]{36}\/foo\/bar\.html$/);
+      const [put] = s3Mock.commandCalls(PutObjectCommand);
+      const entry = JSON.parse(put.args[0].input.Body);
+      assert.strictEqual(put.args[0].input.Key, `.da-trash/${entry.id}.json`);
+      assert.deepStrictEqual(entry.keys, ['foo.props', 'foo/bar.html']);
+      assert.deepStrictEqual(entry.users, daCtx.users);
+      assert.strictEqual(entry.key, 'foo');
+    });
+
+    it('Moves the properties of a file into the trash', async () => {
+      const daCtx = { org: 'testorg', key: 'foo/bar.html', ext: 'html' };
+      const deleted = [];
+      const deleteObjects = await esmock(
+        '../../../src/storage/object/delete.js',
+        { '@aws-sdk/s3-request-presigner': { getSignedUrl: async (cl, cm) => cm.input.Key } },
+        { import: { fetch: async (url) => deleted.push(url) && { status: 204 } } },
+      );
+      s3Mock.on(CopyObjectCommand).resolves({});
+
+      const resp = await deleteObjects({ dacollab: { fetch: () => {} } }, daCtx, {});
+      assert.strictEqual(resp.status, 204);
+      assert.deepStrictEqual(deleted.sort(), ['foo/bar.html', 'foo/bar.html.props']);
+      const entry = JSON.parse(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.Body);
+      assert.deepStrictEqual(entry.keys, ['foo/bar.html', 'foo/bar.html.props']);
+    });
+
+    it('Keeps the objects that could not be trashed', async () => {
+      const daCtx = { org: 'testorg', key: 'foo/bar.html', ext: 'html' };
+      const deleteObjects = await esmock('../../../src/storage/object/delete.js', {
+        '@aws-sdk/s3-request-presigner': { getSignedUrl: async () => assert.fail('deleted') },
+      });
+      const failed = new Error('Failed');
+      failed.$metadata = { httpStatusCode: 500 };
+      s3Mock.on(CopyObjectCommand).rejects(failed);
+
+      const resp = await deleteObjects({}, daCtx, {});
+      assert.strictEqual(resp.status, 500);
+      assert.deepStrictEqual(JSON.parse(resp.body).failed, ['foo/bar.html', 'foo/bar.html.props']);
+      assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 0);
+    });
   });
 });
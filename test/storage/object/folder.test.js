@@ -0,0 +1,97 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import {
+  S3Client,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import { createFolder, getFolderInfo } from '../../../src/storage/object/folder.js';
+
+const s3Mock = mockClient(S3Client);
+
+function getError(status) {
+  const error = new Error('S3 error');
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+describe('Folders', () => {
+  const daCtx = { org: 'adobe', key: 'wknd/drafts', propsKey: 'wknd/drafts.props' };
+
+  beforeEach(() => {
+    s3Mock.reset();
+  });
+
+  it('gets the info of a folder', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ LastModified: new Date(1000) });
+    s3Mock.on(ListObjectsV2Command).resolvesOnce({
+      Contents: [
+        { Key: 'wknd/drafts/index.html', Size: 100, LastModified: new Date(3000) },
+        { Key: 'wknd/drafts/index.html.props', Size: 2, LastModified: new Date(2000) },
+        { Key: 'wknd/drafts/.hidden', Size: 1, LastModified: new Date(2000) },
+      ],
+      NextContinuationToken: 'next',
+    }).resolvesOnce({
+      Contents: [
+        { Key: 'wknd/drafts/empty.props', Size: 2, LastModified: new Date(2000) },
+        { Key: 'wknd/drafts/media/hero.png', Size: 1000, LastModified: new Date(2000) },
+        { Key: 'wknd/drafts/media.props', Size: 2, LastModified: new Date(2000) },
+      ],
+    });
+
+    const { info, status } = await getFolderInfo({}, daCtx);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(info, {
+      path: '/adobe/wknd/drafts',
+      name: 'drafts',
+      explicit: true,
+      children: 3,
+      size: 1107,
+      lastModified: 3000,
+    });
+  });
+
+  it('gets an empty explicit folder', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ LastModified: new Date(1000) });
+    s3Mock.on(ListObjectsV2Command).resolves({});
+    const { info } = await getFolderInfo({}, daCtx);
+    assert.strictEqual(info.children, 0);
+    assert.strictEqual(info.lastModified, 1000);
+  });
+
+  it('gets an implicit folder and misses an absent one', async () => {
+    s3Mock.on(HeadObjectCommand).rejects(getError(404));
+    s3Mock.on(ListObjectsV2Command).resolvesOnce({
+      Contents: [{ Key: 'wknd/drafts/index.html', Size: 100, LastModified: new Date(3000) }],
+    }).resolvesOnce({});
+
+    assert.strictEqual((await getFolderInfo({}, daCtx)).info.explicit, false);
+    assert.strictEqual((await getFolderInfo({}, daCtx)).status, 404);
+  });
+
+  it('returns storage errors', async () => {
+    s3Mock.on(HeadObjectCommand).rejects(getError(403));
+    assert.strictEqual((await getFolderInfo({}, daCtx)).status, 403);
+  });
+
+  it('creates a folder once', async () => {
+    s3Mock.on(PutObjectCommand).resolvesOnce({ $metadata: { httpStatusCode: 200 } })
+      .rejectsOnce(getError(412));
+    assert.strictEqual(await createFolder({}, daCtx), 201);
+    assert.strictEqual(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.Key, 'wknd/drafts.props');
+    assert.strictEqual(await createFolder({}, daCtx), 200);
+  });
+});
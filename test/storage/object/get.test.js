@@ -0,0 +1,116 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'node:assert';
+import { GetObjectCommand, HeadObjectCommand, S3Client } from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import env from '../../utils/mocks/env.js';
+import getObject from '../../../src/storage/object/get.js';
+
+const s3Mock = mockClient(S3Client);
+
+const LAST_MODIFIED = new Date('2024-05-01T10:00:00Z');
+
+describe('Get Object', () => {
+  const daCtx = { org: 'adobe', key: 'wknd/index.html' };
+
+  beforeEach(() => {
+    s3Mock.reset();
+  });
+
+  it('returns the validators', async () => {
+    s3Mock.on(GetObjectCommand).resolves({
+      $metadata: { httpStatusCode: 200 },
+      Body: 'hello',
+      ETag: '"abc"',
+      LastModified: LAST_MODIFIED,
+      Metadata: { id: 'x', 'da-meta-checksum': 'abc' },
+    });
+    const resp = await getObject(env, daCtx);
+    assert.deepStrictEqual(resp.meta, { checksum: 'abc' });
+    assert.strictEqual(resp.etag, '"abc"');
+    assert.strictEqual(resp.lastModified, 'Wed, 01 May 2024 10:00:00 GMT');
+    assert.strictEqual(resp.cacheControl, 'private, no-cache');
+  });
+
+  it('passes the conditions to S3', async () => {
+    const notModified = new Error('NotModified');
+    notModified.$metadata = { httpStatusCode: 304 };
+    s3Mock.on(GetObjectCommand).rejects(notModified);
+
+    const resp = await getObject(env, daCtx, false, { ifNoneMatch: '"abc"' });
+    assert.strictEqual(resp.status, 304);
+    assert.strictEqual(resp.etag, '"abc"');
+    assert.strictEqual(resp.body, undefined);
+    assert.strictEqual(s3Mock.calls()[0].args[0].input.IfNoneMatch, '"abc"');
+
+    const since = 'Wed, 01 May 2024 10:00:00 GMT';
+    await getObject(env, daCtx, false, { ifModifiedSince: since });
+    assert.deepStrictEqual(s3Mock.calls()[1].args[0].input.IfModifiedSince, LAST_MODIFIED);
+  });
+
+  it('gets a byte range', async () => {
+    s3Mock.on(GetObjectCommand).resolves({
+      $metadata: { httpStatusCode: 206 }, Body: 'he', ContentRange: 'bytes 0-1/5', ContentLength: 2,
+    });
+    const resp = await getObject(env, daCtx, false, { range: 'bytes=0-1' });
+    assert.strictEqual(s3Mock.calls()[0].args[0].input.Range, 'bytes=0-1');
+    assert.strictEqual(resp.status, 206);
+    assert.strictEqual(resp.contentRange, 'bytes 0-1/5');
+    assert.strictEqual(resp.acceptRanges, 'bytes');
+  });
+
+  it('names the size of the object for an unsatisfiable range', async () => {
+    const invalidRange = new Error('InvalidRange');
+    invalidRange.$metadata = { httpStatusCode: 416 };
+    invalidRange.ActualObjectSize = '5';
+    s3Mock.on(GetObjectCommand).rejects(invalidRange);
+
+    const resp = await getObject(env, daCtx, false, { range: 'bytes=10-' });
+    assert.strictEqual(resp.status, 416);
+    assert.strictEqual(resp.contentRange, 'bytes */5');
+
+    delete invalidRange.ActualObjectSize;
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 7 });
+    const headed = await getObject(env, daCtx, false, { range: 'bytes=10-' });
+    assert.strictEqual(headed.contentRange, 'bytes */7');
+  });
+
+  describe('HEAD', () => {
+    const savedFetch = globalThis.fetch;
+    const headers = new Headers({ etag: '"abc"', 'last-modified': 'Wed, 01 May 2024 10:00:00 GMT' });
+
+    before(() => {
+      globalThis.fetch = async () => new Response(null, { status: 200, headers });
+    });
+
+    after(() => {
+      globalThis.fetch = savedFetch;
+    });
+
+    it('returns the validators', async () => {
+      const resp = await getObject(env, daCtx, true);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(resp.etag, '"abc"');
+      assert.strictEqual(resp.acceptRanges, 'bytes');
+    });
+
+    it('returns not modified when the client has it', async () => {
+      const byEtag = await getObject(env, daCtx, true, { ifNoneMatch: 'W/"abc"' });
+      assert.strictEqual(byEtag.status, 304);
+      const byDate = await getObject(env, daCtx, true, { ifModifiedSince: 'Thu, 02 May 2024 10:00:00 GMT' });
+      assert.strictEqual(byDate.status, 304);
+      const older = await getObject(env, daCtx, true, { ifModifiedSince: 'Tue, 30 Apr 2024 10:00:00 GMT' });
+      assert.strictEqual(older.status, 200);
+    });
+  });
+});
@@ -43,4 +43,35 @@ describe('List Objects', () => {
     assert.strictEqual(data.length, 3);
     assert(data.every((item) => item.ext && item.lastModified));
   });
+
+  it('lists an empty folder next to a file of the same name', async () => {
+    s3Mock.on(ListObjectsV2Command).resolves({
+      $metadata: { httpStatusCode: 200 },
+      Contents: [
+        { Key: 'wknd/drafts.html', LastModified: new Date() },
+        { Key: 'wknd/drafts.props', LastModified: new Date() },
+      ],
+    });
+
+    const resp = await listObjects({}, { org: 'adobe', key: 'wknd' });
+    const data = JSON.parse(resp.body);
+    assert.deepStrictEqual(data.map((item) => item.path), ['/adobe/wknd/drafts.html', '/adobe/wknd/drafts']);
+  });
+
+  it('returns a stable ETag and honors If-None-Match', async () => {
+    s3Mock.on(ListObjectsV2Command).resolves({ $metadata: { httpStatusCode: 200 }, Contents });
+
+    const daCtx = { org: 'adobe', key: 'wknd' };
+    const { etag, cacheControl } = await listObjects({}, daCtx);
+    assert.match(etag, /^"[0-9a-f]{32}"$/);
+    assert.strictEqual(cacheControl, 'private, no-cache');
+    assert.strictEqual((await listObjects({}, daCtx)).etag, etag);
+
+    const notModified = await listObjects({}, daCtx, { ifNoneMatch: etag });
+    assert.strictEqual(notModified.status, 304);
+    assert.strictEqual(notModified.body, undefined);
+
+    const modified = await listObjects({}, daCtx, { ifNoneMatch: '"other"' });
+    assert.strictEqual(modified.status, 200);
+  });
 })
@@ -3,5 +3,6 @@ export async function postObjectVersion(env, daCtx) {
 }
 
 export async function putObjectWithVersion(env, daCtx, update, body) {
+  if (update.ifMatch === '"stale"') return 412;
   return 201;
 }
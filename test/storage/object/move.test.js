@@ -0,0 +1,43 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'node:assert';
+import esmock from 'esmock';
+import { CopyObjectCommand, ListObjectsV2Command, S3Client } from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+const s3Mock = mockClient(S3Client);
+
+describe('Object move', () => {
+  beforeEach(() => {
+    s3Mock.reset();
+  });
+
+  it('Moves the properties of a file', async () => {
+    const deleted = [];
+    const moveObject = await esmock('../../../src/storage/object/move.js', {
+      '../../../src/storage/object/delete.js': {
+        deleteObject: async (client, ctx, key) => deleted.push(key) && { status: 204 },
+      },
+    });
+    s3Mock.on(ListObjectsV2Command).resolves({});
+    s3Mock.on(CopyObjectCommand).resolves({ $metadata: { httpStatusCode: 200 } });
+
+    const daCtx = { org: 'foo', key: 'mydir/page.html', isFile: true, users: [] };
+    const details = { source: 'mydir/page.html', destination: 'mydir/moved.html' };
+    const resp = await moveObject({ dacollab: { fetch: () => {} } }, daCtx, details);
+    assert.strictEqual(resp.status, 204);
+
+    const copied = s3Mock.commandCalls(CopyObjectCommand).map(({ args }) => args[0].input.Key);
+    assert.deepStrictEqual(copied.sort(), ['mydir/moved.html', 'mydir/moved.html.props']);
+    assert.deepStrictEqual(deleted.sort(), ['mydir/page.html', 'mydir/page.html.props']);
+  });
+});
@@ -4,7 +4,7 @@ import { strict as esmock } from 'esmock';
 import env from '../../utils/mocks/env.js';
 
 import { mockClient } from 'aws-sdk-client-mock';
-import { S3Client } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 
 const s3Mock = mockClient(S3Client);
 
@@ -31,17 +31,64 @@ describe('Object storage', () => {
 
     it('Successfully puts file data', async () => {
       const daCtx = { org: 'adobe', site: 'geometrixx', isFile: true, key: 'geometrixx/foo.html', pathname: '/foo', propsKey: 'geometrixx/foo.html.props' };
-      const data = new File(['foo'], 'foo.txt', { type: 'text/plain' });
+      const data = new File(['<p>foo</p>'], 'foo.html', { type: 'text/html' });
       const obj = { data };
       const resp = await putObject(env, daCtx, obj);
       assert.strictEqual(resp.status, 201);
       assert.strictEqual(JSON.parse(resp.body).source.editUrl, 'https://da.live/edit#/adobe/foo')
     });
 
+    it('Refuses data when the condition fails', async () => {
+      const daCtx = { org: 'adobe', site: 'geometrixx', key: 'geometrixx/foo.html', propsKey: 'geometrixx/foo.html.props' };
+      const obj = { data: '<html></html>' };
+      const resp = await putObject(env, daCtx, obj, { ifMatch: '"stale"' });
+      assert.strictEqual(resp.status, 412);
+      assert(JSON.parse(resp.body).error);
+    });
+
+    it('Refuses files of the wrong type', async () => {
+      const daCtx = { org: 'adobe', site: 'geometrixx', isFile: true, ext: 'png', key: 'geometrixx/foo.png', propsKey: 'geometrixx/foo.png.props' };
+      const data = new File(['<html></html>'], 'foo.png', { type: 'text/html' });
+      const resp = await putObject(env, daCtx, { data });
+      assert.strictEqual(resp.status, 415);
+      assert.strictEqual(JSON.parse(resp.body).error, 'Extension .png does not match content type text/html.');
+    });
+
+    it('Validates sheets', async () => {
+      const daCtx = { org: 'adobe', site: 'geometrixx', isFile: true, ext: 'json', key: 'geometrixx/redirects.json', pathname: '/redirects.json', propsKey: 'geometrixx/redirects.json.props' };
+      const sheet = { total: 1, offset: 0, limit: 1, data: [{ source: '/a', destination: '/b' }], ':type': 'sheet' };
+      const valid = new File([JSON.stringify(sheet)], 'redirects.json', { type: 'application/json' });
+      assert.strictEqual((await putObject(env, daCtx, { data: valid })).status, 201);
+
+      const broken = new File(['{"data": ['], 'redirects.json', { type: 'application/json' });
+      const resp = await putObject(env, daCtx, { data: broken });
+      assert.strictEqual(resp.status, 422);
+      assert.deepStrictEqual(JSON.parse(resp.body).errors, [{ error: 'The document is not valid JSON.' }]);
+    });
+
+    it('Refuses metadata that is not allowed', async () => {
+      const daCtx = { org: 'adobe', site: 'geometrixx', key: 'geometrixx/foo.html', propsKey: 'geometrixx/foo.html.props' };
+      const obj = { data: '<html></html>', meta: { secret: 'x' } };
+      const resp = await putObject(env, daCtx, obj);
+      assert.strictEqual(resp.status, 400);
+    });
+
     it('Successfully puts no data', async () => {
+      s3Mock.on(PutObjectCommand).resolves({ $metadata: { httpStatusCode: 200 } });
       const daCtx = { org: 'adobe', site: 'geometrixx', key: 'geometrixx', propsKey: 'geometrixx.props' };
       const resp = await putObject(env, daCtx);
       assert.strictEqual(resp.status, 201);
+      assert.strictEqual(s3Mock.commandCalls(PutObjectCommand)[0].args[0].input.Key, 'geometrixx.props');
+    });
+
+    it('Keeps the properties of an existing folder', async () => {
+      const error = new Error('PreconditionFailed');
+      error.$metadata = { httpStatusCode: 412 };
+      s3Mock.on(PutObjectCommand).rejects(error);
+      const daCtx = { org: 'adobe', site: 'geometrixx', key: 'geometrixx/drafts', propsKey: 'geometrixx/drafts.props' };
+      const resp = await putObject(env, daCtx);
+      assert.strictEqual(resp.status, 200);
+      assert.strictEqual(s3Mock.commandCalls(PutObjectCommand).length, 1);
     });
   });
 });
@@ -0,0 +1,189 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'node:assert';
+import esmock from 'esmock';
+import {
+  S3Client,
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListMultipartUploadsCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import env from '../../utils/mocks/env.js';
+
+const s3Mock = mockClient(S3Client);
+
+const ID = '0f8fad5b-d9cb-469f-a165-70867728950e';
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+describe('Uploads', () => {
+  const daCtx = {
+    org: 'adobe', site: 'wknd', key: 'wknd/media/hero.png', ext: 'png', isFile: true, pathname: '/wknd/media/hero.png', aemPathname: '/media/hero.png', users: [{ email: 'aparker@geometrixx.info' }],
+  };
+  let upload;
+  let versioned;
+
+  before(async () => {
+    upload = await esmock('../../../src/storage/object/upload.js', {
+      '../../../src/storage/version/put.js': {
+        copyObjectWithVersion: async (e, c, update) => {
+          versioned.push(update);
+          return 201;
+        },
+      },
+    });
+  });
+
+  beforeEach(() => {
+    s3Mock.reset();
+    versioned = [];
+  });
+
+  it('presigns a single upload to a staging key', async () => {
+    const resp = await upload.createUpload(env, daCtx, { type: 'image/png' });
+    const { id, url, headers } = JSON.parse(resp.body);
+    assert.strictEqual(resp.status, 200);
+    assert(url.startsWith(`https://adobe-content.s3.com/.da-uploads/${id}?`));
+    assert.deepStrictEqual(headers, { 'content-type': 'image/png' });
+  });
+
+  it('presigns the parts of a multipart upload', async () => {
+    s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: 'up-1' });
+    const resp = await upload.createUpload(env, daCtx, { type: 'image/png', parts: 2 });
+    const { uploadId, parts } = JSON.parse(resp.body);
+    assert.strictEqual(uploadId, 'up-1');
+    assert.deepStrictEqual(parts.map(({ partNumber }) => partNumber), [1, 2]);
+    assert(parts[1].url.includes('partNumber=2'));
+    assert(parts[1].url.includes('uploadId=up-1'));
+  });
+
+  it('cleans up abandoned uploads when starting one', async () => {
+    const old = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    s3Mock.on(ListObjectsV2Command).resolves({
+      Contents: [{ Key: '.da-uploads/old', LastModified: old }, { Key: '.da-uploads/new', LastModified: new Date() }],
+    });
+    s3Mock.on(ListMultipartUploadsCommand).resolves({
+      Uploads: [{ Key: '.da-uploads/old-parts', UploadId: 'up-0', Initiated: old }, { Key: '.da-uploads/new-parts', UploadId: 'up-1', Initiated: new Date() }],
+    });
+    await upload.createUpload(env, daCtx, { type: 'image/png' });
+
+    const [deleted] = s3Mock.commandCalls(DeleteObjectsCommand);
+    assert.deepStrictEqual(deleted.args[0].input.Delete.Objects, [{ Key: '.da-uploads/old' }]);
+    const aborted = s3Mock.commandCalls(AbortMultipartUploadCommand).map(({ args }) => args[0].input.UploadId);
+    assert.deepStrictEqual(aborted, ['up-0']);
+
+    // Failing to clean up doesn't fail the upload
+    s3Mock.on(ListObjectsV2Command).rejects(new Error('nope'));
+    assert.strictEqual((await upload.createUpload(env, daCtx, { type: 'image/png' })).status, 200);
+  });
+
+  it('finalizes an upload with a version', async () => {
+    s3Mock.on(CompleteMultipartUploadCommand).resolves({});
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 6 * 1024 ** 3, ContentType: 'image/png' });
+    s3Mock.on(GetObjectCommand).resolves({
+      $metadata: { httpStatusCode: 200 }, Body: PNG, ContentType: 'image/png', ContentLength: PNG.length,
+    });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+
+    const parts = [{ PartNumber: 1, ETag: '"a"' }];
+    const resp = await upload.finalizeUpload(env, daCtx, { id: ID, uploadId: 'up-1', parts });
+    assert.strictEqual(resp.status, 201);
+    assert.deepStrictEqual(versioned[0], {
+      org: 'adobe', key: 'wknd/media/hero.png', source: `.da-uploads/${ID}`, size: 6 * 1024 ** 3, type: 'image/png',
+    });
+    // Only the start of the upload is read
+    assert.strictEqual(s3Mock.commandCalls(GetObjectCommand)[0].args[0].input.Range, 'bytes=0-1023');
+
+    const completed = s3Mock.commandCalls(CompleteMultipartUploadCommand)[0].args[0].input;
+    assert.deepStrictEqual(completed.MultipartUpload.Parts, parts);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand)[0].args[0].input.Key, `.da-uploads/${ID}`);
+  });
+
+  it('refuses uploads that are not what they claim', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 13, ContentType: 'image/png' });
+    s3Mock.on(GetObjectCommand).resolves({
+      $metadata: { httpStatusCode: 200 }, Body: '<html></html>', ContentType: 'image/png',
+    });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+
+    const resp = await upload.finalizeUpload(env, daCtx, { id: ID });
+    assert.strictEqual(resp.status, 415);
+    assert.strictEqual(versioned.length, 0);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 1);
+  });
+
+  it('refuses sheets that are not valid', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 26, ContentType: 'application/json' });
+    s3Mock.on(GetObjectCommand).resolves({
+      $metadata: { httpStatusCode: 200 }, Body: '{"data":[{"a":1},{"b":2}]}', ContentType: 'application/json',
+    });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+
+    const sheetCtx = { ...daCtx, key: 'wknd/redirects.json', ext: 'json' };
+    const resp = await upload.finalizeUpload(env, sheetCtx, { id: ID });
+    assert.strictEqual(resp.status, 422);
+    assert.deepStrictEqual(JSON.parse(resp.body).errors[0].row, 1);
+    assert.strictEqual(versioned.length, 0);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 1);
+  });
+
+  it('finalizes empty uploads', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 0, ContentType: 'text/html' });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+
+    const htmlCtx = { ...daCtx, key: 'wknd/empty.html', ext: 'html' };
+    const resp = await upload.finalizeUpload(env, htmlCtx, { id: ID });
+    assert.strictEqual(resp.status, 201);
+    assert.strictEqual(versioned[0].size, 0);
+    assert.strictEqual(s3Mock.commandCalls(GetObjectCommand).length, 0);
+
+    // An empty file is not an image
+    const png = await upload.finalizeUpload(env, { ...daCtx }, { id: ID });
+    assert.strictEqual(png.status, 415);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 2);
+  });
+
+  it('reports uploads that could not be stored', async () => {
+    s3Mock.on(HeadObjectCommand).resolves({ ContentLength: 0, ContentType: 'text/html' });
+    s3Mock.on(DeleteObjectCommand).resolves({});
+    const failing = await esmock('../../../src/storage/object/upload.js', {
+      '../../../src/storage/version/put.js': { copyObjectWithVersion: async () => 500 },
+    });
+    const resp = await failing.finalizeUpload(env, { ...daCtx, key: 'wknd/a.html', ext: 'html' }, { id: ID });
+    assert.strictEqual(resp.status, 500);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 1);
+  });
+
+  it('returns not found for unknown uploads', async () => {
+    const missing = new Error('NotFound');
+    missing.$metadata = { httpStatusCode: 404 };
+    s3Mock.on(HeadObjectCommand).rejects(missing);
+    const resp = await upload.finalizeUpload(env, daCtx, { id: ID });
+    assert.strictEqual(resp.status, 404);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 0);
+  });
+
+  it('reports parts that can not be completed', async () => {
+    const invalid = new Error('InvalidPart');
+    invalid.$metadata = { httpStatusCode: 400 };
+    s3Mock.on(CompleteMultipartUploadCommand).rejects(invalid);
+    const resp = await upload.finalizeUpload(env, daCtx, { id: ID, uploadId: 'up-1', parts: [] });
+    assert.strictEqual(resp.status, 400);
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+import {
+  S3Client,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import listTrash from '../../../src/storage/trash/list.js';
+import restoreTrashEntry from '../../../src/storage/trash/restore.js';
+import { purgeExpiredTrash, purgeTrashEntry } from '../../../src/storage/trash/purge.js';
+import { getTrashRetention, isTrashId } from '../../../src/storage/utils/trash.js';
+
+const s3Mock = mockClient(S3Client);
+
+const DAY = 24 * 60 * 60 * 1000;
+const OLD_ID = '1000-4d61a613-24ab-4050-b463-8fd56ee7bed4';
+const NEW_ID = `${Date.now()}-574e1ede-9500-4fe3-bb5e-a30e79459d8f`;
+
+function getError(status) {
+  const error = new Error('S3 error');
+  error.$metadata = { httpStatusCode: status };
+  return error;
+}
+
+function getEnv(retention) {
+  const config = retention ? { data: [{ key: 'trash.retention', value: retention }] } : null;
+  return {
+    DA_CONFIG: { get: async () => config },
+    dacollab: { fetch: async () => {} },
+  };
+}
+
+describe('Trash', () => {
+  const daCtx = { org: 'adobe', origin: 'https://admin.da.live' };
+  let entries;
+  let existing;
+
+  beforeEach(() => {
+    s3Mock.reset();
+    entries = {
+      [OLD_ID]: {
+        id: OLD_ID, key: 'wknd/drafts', users: [{ email: 'a@b.com' }], deleted: 1000, keys: ['wknd/drafts.props', 'wknd/drafts/index.html'],
+      },
+      [NEW_ID]: {
+        id: NEW_ID, key: 'wknd/old.html', users: [{ email: 'a@b.com' }], deleted: Date.now(), keys: ['wknd/old.html'],
+      },
+    };
+    existing = [];
+    s3Mock.on(ListObjectsV2Command).resolves({
+      Contents: Object.keys(entries).map((id) => ({ Key: `.da-trash/${id}.json` })),
+    });
+    s3Mock.on(GetObjectCommand).callsFake(({ Key }) => {
+      const entry = entries[Key.split('/').pop().replace('.json', '')];
+      if (!entry) throw getError(404);
+      return { Body: { transformToString: async () => JSON.stringify(entry) } };
+    });
+    s3Mock.on(HeadObjectCommand).callsFake(({ Key }) => {
+      if (!existing.includes(Key)) throw getError(404);
+      return {};
+    });
+  });
+
+  it('keeps entries for the configured retention', () => {
+    assert.strictEqual(getTrashRetention({}, null), 30 * DAY);
+    assert.strictEqual(getTrashRetention({ TRASH_RETENTION_DAYS: '7' }, null), 7 * DAY);
+    assert.strictEqual(getTrashRetention({ TRASH_RETENTION_DAYS: '7' }, { data: [{ key: 'trash.retention', value: '90' }] }), 90 * DAY);
+    assert(isTrashId(OLD_ID));
+    assert(!isTrashId('../wknd'));
+  });
+
+  it('lists the entries newest first', async () => {
+    const resp = await listTrash(getEnv('10'), daCtx);
+    const body = JSON.parse(resp.body);
+    assert.deepStrictEqual(body.map(({ id }) => id), [NEW_ID, OLD_ID]);
+    assert.deepStrictEqual(body[1], {
+      id: OLD_ID, key: 'wknd/drafts', users: [{ email: 'a@b.com' }], deleted: 1000, expires: 1000 + 10 * DAY, count: 2,
+    });
+  });
+
+  it('restores an entry', async () => {
+    const resp = await restoreTrashEntry(getEnv(), daCtx, OLD_ID);
+    assert.strictEqual(resp.status, 200);
+    const copies = s3Mock.commandCalls(CopyObjectCommand).map(({ args }) => args[0].input);
+    assert.deepStrictEqual(copies[1], {
+      Bucket: 'adobe-content', Key: 'wknd/drafts/index.html', CopySource: `adobe-content/.da-trash/${OLD_ID}/wknd/drafts/index.html`,
+    });
+    const deleted = s3Mock.commandCalls(DeleteObjectCommand).map(({ args }) => args[0].input.Key);
+    assert.deepStrictEqual(deleted, [
+      `.da-trash/${OLD_ID}/wknd/drafts.props`, `.da-trash/${OLD_ID}/wknd/drafts/index.html`, `.da-trash/${OLD_ID}.json`,
+    ]);
+  });
+
+  it('does not overwrite on restore', async () => {
+    existing = ['wknd/drafts/index.html'];
+    const resp = await restoreTrashEntry(getEnv(), daCtx, OLD_ID);
+    assert.strictEqual(resp.status, 409);
+    assert.deepStrictEqual(JSON.parse(resp.body).conflicts, ['wknd/drafts/index.html']);
+    assert.strictEqual(s3Mock.commandCalls(CopyObjectCommand).length, 0);
+    assert.strictEqual((await restoreTrashEntry(getEnv(), daCtx, 'missing')).status, 404);
+  });
+
+  it('purges an entry', async () => {
+    assert.strictEqual((await purgeTrashEntry(getEnv(), daCtx, NEW_ID)).status, 204);
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 2);
+    assert.strictEqual((await purgeTrashEntry(getEnv(), daCtx, 'missing')).status, 404);
+  });
+
+  it('purges the expired entries', async () => {
+    const resp = await purgeExpiredTrash(getEnv(), daCtx);
+    assert.deepStrictEqual(JSON.parse(resp.body), { purged: [OLD_ID] });
+    assert.strictEqual(s3Mock.commandCalls(DeleteObjectCommand).length, 3);
+  });
+});
@@ -11,6 +11,17 @@
  */
 import assert from 'assert';
 import esmock from 'esmock';
+import {
+  S3Client,
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  HeadObjectCommand,
+  UploadPartCopyCommand,
+} from '@aws-sdk/client-s3';
+import { mockClient } from 'aws-sdk-client-mock';
+
+import { copyObjectWithVersion } from '../../../src/storage/version/put.js';
 
 describe('Version Put', () => {
   it('Test putObjectWithVersion retry on new document', async () => {
@@ -519,4 +530,139 @@ describe('Version Put', () => {
     assert.equal('[{"email":"hi@acme.com"}]', input2.Metadata.Users);
     assert(input2.Metadata.Version && input2.Metadata.Version !== 101);
   });
+  describe('Conditional writes', () => {
+    const update = { org: 'myorg', key: 'a/b.html', body: 'hello', type: 'text/html' };
+
+    async function putWith(current, conditions) {
+      const sent = [];
+      const client = {
+        send: async (c) => {
+          sent.push(c);
+          return { $metadata: { httpStatusCode: 200 } };
+        },
+      };
+      const { putObjectWithVersion } = await esmock('../../../src/storage/version/put.js', {
+        '../../../src/storage/object/get.js': { default: async () => current },
+        '../../../src/storage/utils/version.js': {
+          ifMatch: () => client,
+          ifNoneMatch: () => client,
+          createBucketIfMissing: () => client,
+        },
+      });
+      const status = await putObjectWithVersion({}, { ext: 'html' }, { ...update, ...conditions });
+      return { status, sent };
+    }
+
+    const existing = {
+      status: 200, body: 'old', etag: '"abc"', metadata: { id: 'x', version: '1', preparsingstore: '1' },
+    };
+
+    it('refuses a stale If-Match', async () => {
+      const { status, sent } = await putWith(existing, { ifMatch: '"def"' });
+      assert.strictEqual(status, 412);
+      assert.strictEqual(sent.length, 0);
+    });
+
+    it('saves with a current If-Match', async () => {
+      const { status, sent } = await putWith(existing, { ifMatch: '"def", "abc"' });
+      assert.strictEqual(status, 200);
+      assert.strictEqual(sent.length, 2);
+    });
+
+    it('refuses If-Match on a missing document', async () => {
+      const { status } = await putWith({ status: 404 }, { ifMatch: '*' });
+      assert.strictEqual(status, 412);
+    });
+
+    it('only creates with If-None-Match star', async () => {
+      assert.strictEqual((await putWith(existing, { ifNoneMatch: '*' })).status, 412);
+      assert.strictEqual((await putWith({ status: 404 }, { ifNoneMatch: '*' })).status, 201);
+    });
+
+    it('keeps custom metadata and carries it into the version', async () => {
+      const current = {
+        ...existing,
+        metadata: { ...existing.metadata, 'da-meta-checksum': 'old', 'da-meta-import-batch': '1' },
+      };
+      const { sent } = await putWith(current, { meta: { checksum: 'new' } });
+      assert.strictEqual(sent[0].input.Metadata['da-meta-checksum'], 'old');
+      assert.strictEqual(sent[1].input.Metadata['da-meta-checksum'], 'new');
+      assert.strictEqual(sent[1].input.Metadata['da-meta-import-batch'], '1');
+    });
+
+    it('refuses a matching If-None-Match', async () => {
+      assert.strictEqual((await putWith(existing, { ifNoneMatch: 'W/"abc"' })).status, 412);
+      assert.strictEqual((await putWith(existing, { ifNoneMatch: '"def"' })).status, 200);
+    });
+  });
+
+  describe('Copies with version', () => {
+    const s3Mock = mockClient(S3Client);
+    const env = { S3_DEF_URL: 'https://s3.com' };
+    const daCtx = { ext: 'mp4', users: [{ email: 'aparker@geometrixx.info' }] };
+    const update = {
+      org: 'adobe', key: 'wknd/hero.mp4', source: '.da-uploads/abc', size: 10, type: 'video/mp4',
+    };
+    const notFound = Object.assign(new Error('NotFound'), { $metadata: { httpStatusCode: 404 } });
+
+    beforeEach(() => {
+      s3Mock.reset();
+    });
+
+    it('creates a document within the bucket', async () => {
+      s3Mock.on(HeadObjectCommand).rejects(notFound);
+      assert.strictEqual(await copyObjectWithVersion(env, daCtx, update), 201);
+
+      const [copy] = s3Mock.commandCalls(CopyObjectCommand).map(({ args }) => args[0].input);
+      assert.strictEqual(copy.CopySource, 'adobe-content/.da-uploads/abc');
+      assert.strictEqual(copy.Key, 'wknd/hero.mp4');
+      assert.strictEqual(copy.MetadataDirective, 'REPLACE');
+      assert.strictEqual(copy.ContentType, 'video/mp4');
+      assert(copy.Metadata.ID && copy.Metadata.Version);
+      assert.strictEqual(copy.Metadata.Users, '[{"email":"aparker@geometrixx.info"}]');
+      assert.strictEqual(copy.Metadata.Path, 'wknd/hero.mp4');
+    });
+
+    it('keeps the current document as a version', async () => {
+      s3Mock.on(HeadObjectCommand).resolves({
+        ContentLength: 5,
+        ContentType: 'video/mp4',
+        Metadata: {
+          id: 'id-1', version: 'v-1', users: '[{"email":"chad@geometrixx.info"}]', timestamp: '1', path: 'wknd/hero.mp4', 'da-meta-checksum': 'abc',
+        },
+      });
+      assert.strictEqual(await copyObjectWithVersion(env, daCtx, update), 200);
+
+      const [version, copy] = s3Mock.commandCalls(CopyObjectCommand).map(({ args }) => args[0].input);
+      assert.strictEqual(version.CopySource, 'adobe-content/wknd/hero.mp4');
+      assert.strictEqual(version.Key, '.da-versions/id-1/v-1.mp4');
+      assert.strictEqual(version.Metadata.Users, '[{"email":"chad@geometrixx.info"}]');
+      assert.strictEqual(copy.Metadata.ID, 'id-1');
+      assert.notStrictEqual(copy.Metadata.Version, 'v-1');
+      assert.strictEqual(copy.Metadata['da-meta-checksum'], 'abc');
+    });
+
+    it('copies large uploads in parts', async () => {
+      s3Mock.on(HeadObjectCommand).rejects(notFound);
+      s3Mock.on(CreateMultipartUploadCommand).resolves({ UploadId: 'up-1' });
+      s3Mock.on(UploadPartCopyCommand).callsFake(({ PartNumber }) => ({ CopyPartResult: { ETag: `"${PartNumber}"` } }));
+      s3Mock.on(CompleteMultipartUploadCommand).resolves({});
+
+      const size = 11 * 1024 ** 3;
+      assert.strictEqual(await copyObjectWithVersion(env, daCtx, { ...update, size }), 201);
+      assert.strictEqual(s3Mock.commandCalls(CopyObjectCommand).length, 0);
+
+      const ranges = s3Mock.commandCalls(UploadPartCopyCommand).map(({ args }) => args[0].input.CopySourceRange);
+      const part = 5 * 1024 ** 3;
+      assert.deepStrictEqual(ranges, [`bytes=0-${part - 1}`, `bytes=${part}-${2 * part - 1}`, `bytes=${2 * part}-${size - 1}`]);
+      const [complete] = s3Mock.commandCalls(CompleteMultipartUploadCommand);
+      assert.deepStrictEqual(complete.args[0].input.MultipartUpload.Parts.map(({ ETag }) => ETag), ['"1"', '"2"', '"3"']);
+    });
+
+    it('reports the status of failed copies', async () => {
+      s3Mock.on(HeadObjectCommand).rejects(notFound);
+      s3Mock.on(CopyObjectCommand).rejects(Object.assign(new Error('denied'), { $metadata: { httpStatusCode: 403 } }));
+      assert.strictEqual(await copyObjectWithVersion(env, daCtx, update), 403);
+    });
+  });
 });
@@ -11,6 +11,7 @@
  */
 import assert from 'assert';
 import esmock from 'esmock';
+import { exportJWK, generateKeyPair, SignJWT } from 'jose';
 
 // Mocks
 import reqs from './mocks/req.js';
@@ -21,6 +22,11 @@ import fetch from './mocks/fetch.js';
 // ES Mocks
 const {
   isAuthorized,
+  isKeyAuthorized,
+  globToRegExp,
+  getForbidden,
+  getRequiredRole,
+  hasApiKeyAccess,
   setUser,
   getUsers,
 } = await esmock('../../src/utils/auth.js', { jose, import: { fetch } });
@@ -96,6 +102,258 @@ describe('DA auth', () => {
     });
   });
 
+  describe('path permissions', async () => {
+    const DA_CONFIG = {
+      'geometrixx': {
+        "data": {
+          "total": 1,
+          "limit": 1,
+          "offset": 0,
+          "data": [
+            {
+              "key": "admin.role.all",
+              "value": "aparker@geometrixx.info"
+            }
+          ],
+        },
+        "permissions": {
+          "total": 2,
+          "limit": 2,
+          "offset": 0,
+          "data": [
+            {
+              "path": "/site/drafts/**",
+              "read": "reviewer@geometrixx.info",
+              "write": "Contractor@geometrixx.info, other@geometrixx.info",
+              "delete": "other@geometrixx.info"
+            },
+            {
+              "path": "/site/media/*.png",
+              "read": "",
+              "write": "designer@geometrixx.info"
+            }
+          ],
+        },
+        ":names": ["data", "permissions"],
+        ":type": "multi-sheet"
+      }
+    };
+    const env2 = { DA_CONFIG: { get: (name) => DA_CONFIG[name] } };
+
+    it('matches path globs', () => {
+      assert(globToRegExp('/site/drafts/**').test('/site/drafts'));
+      assert(globToRegExp('/site/drafts/**').test('/site/drafts/a/b.html'));
+      assert(!globToRegExp('/site/drafts/**').test('/site/drafts-new'));
+      assert(globToRegExp('/site/*.html').test('/site/index.html'));
+      assert(!globToRegExp('/site/*.html').test('/site/a/index.html'));
+      assert(globToRegExp('/site/**/index.html').test('/site/index.html'));
+      assert(globToRegExp('/site/**/index.html').test('/site/a/b/index.html'));
+    });
+
+    it('admins can do anything', async () => {
+      assert(await isAuthorized(env2, 'geometrixx', { email: 'aparker@geometrixx.info' }, '/other/page.html', 'write'));
+    });
+
+    it('writers can read and write in their path', async () => {
+      const user = { email: 'contractor@geometrixx.info' };
+      assert(await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'write'));
+      assert(await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'read'));
+      assert(!await isAuthorized(env2, 'geometrixx', user, '/site/page.html', 'read'));
+      assert(!await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'delete'));
+    });
+
+    it('deleters can delete in their path', async () => {
+      const user = { email: 'other@geometrixx.info' };
+      assert(await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'delete'));
+      assert(!await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'admin'));
+    });
+
+    it('readers can only read in their path', async () => {
+      const user = { email: 'reviewer@geometrixx.info' };
+      assert(await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'read'));
+      assert(!await isAuthorized(env2, 'geometrixx', user, '/site/drafts/page.html', 'write'));
+    });
+
+    it('single star does not cross folders', async () => {
+      const user = { email: 'designer@geometrixx.info' };
+      assert(await isAuthorized(env2, 'geometrixx', user, '/site/media/logo.png', 'write'));
+      assert(!await isAuthorized(env2, 'geometrixx', user, '/site/media/sub/logo.png', 'write'));
+    });
+
+    it('users with any rule can access the org', async () => {
+      assert(await isAuthorized(env2, 'geometrixx', { email: 'reviewer@geometrixx.info' }));
+      assert(!await isAuthorized(env2, 'geometrixx', { email: 'chad@geometrixx.info' }));
+    });
+
+    it('all users of the context need access to the key', async () => {
+      const daCtx = {
+        org: 'geometrixx',
+        users: [{ email: 'contractor@geometrixx.info' }, { email: 'other@geometrixx.info' }],
+      };
+      assert(await isKeyAuthorized(env2, daCtx, 'site/drafts/page.html', 'write'));
+      daCtx.users.push({ email: 'reviewer@geometrixx.info' });
+      assert(!await isKeyAuthorized(env2, daCtx, 'site/drafts/page.html', 'write'));
+    });
+  });
+
+  describe('roles', async () => {
+    const DA_CONFIG = {
+      'geometrixx': {
+        "total": 4,
+        "limit": 4,
+        "offset": 0,
+        "data": [
+          { "key": "admin.role.all", "value": "aparker@geometrixx.info" },
+          { "key": "reader.role.all", "value": "reader@geometrixx.info" },
+          { "key": "author.role.all", "value": "author@geometrixx.info, author2@geometrixx.info" },
+          { "key": "publisher.role.all", "value": "publisher@geometrixx.info" },
+          { "key": "unknown.role.all", "value": "chad@geometrixx.info" },
+        ],
+        ":type": "sheet"
+      }
+    };
+    const env2 = { DA_CONFIG: { get: (name) => DA_CONFIG[name] } };
+    const can = (email, operation) => isAuthorized(env2, 'geometrixx', { email }, '/site/page.html', operation);
+
+    it('readers can only read', async () => {
+      assert(await can('reader@geometrixx.info', 'read'));
+      assert(!await can('reader@geometrixx.info', 'write'));
+    });
+
+    it('authors can write but not delete', async () => {
+      assert(await can('author2@geometrixx.info', 'write'));
+      assert(!await can('author@geometrixx.info', 'delete'));
+    });
+
+    it('publishers can delete but not administer', async () => {
+      assert(await can('publisher@geometrixx.info', 'delete'));
+      assert(!await can('publisher@geometrixx.info', 'admin'));
+    });
+
+    it('admins can administer', async () => {
+      assert(await can('aparker@geometrixx.info', 'admin'));
+    });
+
+    it('unknown roles grant nothing', async () => {
+      assert(!await can('chad@geometrixx.info', 'read'));
+    });
+
+    it('names the required role', () => {
+      assert.strictEqual(getRequiredRole('read'), 'reader');
+      assert.strictEqual(getRequiredRole('delete'), 'publisher');
+      const resp = getForbidden('write');
+      assert.strictEqual(resp.status, 403);
+      assert.strictEqual(JSON.parse(resp.body).requiredRole, 'author');
+    });
+  });
+
+  describe('site config', async () => {
+    const DA_CONFIG = {
+      'geometrixx': {
+        "data": [
+          { "key": "admin.role.all", "value": "aparker@geometrixx.info" },
+          { "key": "author.role.all", "value": "author@geometrixx.info" },
+        ],
+        ":type": "sheet"
+      },
+      'geometrixx/agency': {
+        "data": {
+          "data": [
+            { "key": "admin.role.all", "value": "agency@agency.com" },
+          ],
+        },
+        "permissions": {
+          "data": [
+            { "path": "/drafts/**", "write": "intern@agency.com" },
+          ],
+        },
+        ":type": "multi-sheet"
+      },
+      'geometrixx/private': {
+        "data": [
+          { "key": "permissions.inherit", "value": "admins" },
+          { "key": "reader.role.all", "value": "reviewer@geometrixx.info" },
+        ],
+        ":type": "sheet"
+      },
+      'wknd/site': {
+        "data": [
+          { "key": "admin.role.all", "value": "agency@agency.com" },
+        ],
+        ":type": "sheet"
+      },
+    };
+    const env2 = { DA_CONFIG: { get: (name) => DA_CONFIG[name] } };
+    const can = (email, path, operation, org = 'geometrixx') => isAuthorized(env2, org, { email }, path, operation);
+
+    it('adds site admins for the site only', async () => {
+      assert(await can('agency@agency.com', '/agency/page.html', 'admin'));
+      assert(await can('agency@agency.com', '/agency', 'admin'));
+      assert(!await can('agency@agency.com', '/other/page.html', 'read'));
+      assert(!await can('agency@agency.com', '/', 'read'));
+    });
+
+    it('does not grant site admins the org', async () => {
+      assert(!await can('agency@agency.com', undefined, 'admin'));
+      assert(await can('aparker@geometrixx.info', undefined, 'admin'));
+    });
+
+    it('keeps the org roles in the site', async () => {
+      assert(await can('aparker@geometrixx.info', '/agency/page.html', 'admin'));
+      assert(await can('author@geometrixx.info', '/agency/page.html', 'write'));
+    });
+
+    it('resolves site path rules relative to the site', async () => {
+      assert(await can('intern@agency.com', '/agency/drafts/page.html', 'write'));
+      assert(!await can('intern@agency.com', '/drafts/page.html', 'write'));
+    });
+
+    it('narrows the inherited roles to the org admins', async () => {
+      assert(await can('aparker@geometrixx.info', '/private/page.html', 'admin'));
+      assert(!await can('author@geometrixx.info', '/private/page.html', 'read'));
+      assert(await can('reviewer@geometrixx.info', '/private/page.html', 'read'));
+    });
+
+    it('protects a site of an unprotected org', async () => {
+      assert(await can('agency@agency.com', '/site/page.html', 'admin', 'wknd'));
+      assert(!await can('chad@geometrixx.info', '/site/page.html', 'read', 'wknd'));
+      assert(await can('chad@geometrixx.info', '/other/page.html', 'read', 'wknd'));
+    });
+  });
+
+  describe('api keys', async () => {
+    const apiKey = {
+      id: 'abc', org: 'geometrixx', paths: ['/site/drafts'], operations: ['write'], createdBy: ['aparker@geometrixx.info'],
+    };
+
+    it('are scoped to their org', async () => {
+      assert(hasApiKeyAccess(apiKey, 'geometrixx'));
+      assert(!hasApiKeyAccess(apiKey, 'wknd'));
+      assert(!await isAuthorized(env, 'wknd', { email: 'apikey:ci', apiKey }, '/site/drafts', 'read'));
+    });
+
+    it('are scoped to their path prefixes', async () => {
+      assert(hasApiKeyAccess(apiKey, 'geometrixx', '/site/drafts', 'write'));
+      assert(hasApiKeyAccess(apiKey, 'geometrixx', '/site/drafts/page.html', 'read'));
+      assert(!hasApiKeyAccess(apiKey, 'geometrixx', '/site/drafts-new/page.html', 'read'));
+    });
+
+    it('stop working once their creators are no longer org admins', async () => {
+      const user = { email: 'apikey:ci', apiKey };
+      assert(await isAuthorized(env, 'geometrixx', user, '/site/drafts', 'write'));
+      const demoted = { ...user, apiKey: { ...apiKey, createdBy: ['chad@geometrixx.info'] } };
+      assert(!await isAuthorized(env, 'geometrixx', demoted, '/site/drafts', 'write'));
+      // Nor when the org is no longer protected
+      const unprotected = { ...user, apiKey: { ...apiKey, org: 'beagle' } };
+      assert(!await isAuthorized(env, 'beagle', unprotected, '/site/drafts', 'write'));
+    });
+
+    it('are scoped to their operations', async () => {
+      assert(!hasApiKeyAccess(apiKey, 'geometrixx', '/site/drafts/page.html', 'delete'));
+      assert(!await isAuthorized(env, 'geometrixx', { email: 'apikey:ci', apiKey }, '/site/drafts', 'admin'));
+    });
+  });
+
   describe('get user', async () => {
     it('anonymous with no auth header', async () => {
       const users = await getUsers(reqs.org, env);
@@ -123,12 +381,186 @@ describe('DA auth', () => {
       assert.strictEqual(users[1].email, 'aparker@geometrixx.info');
     });
 
+    it('synthetic user for api keys', async () => {
+      const record = JSON.stringify({ id: 'abc', org: 'geometrixx', name: 'ci', paths: ['/'], operations: ['read'] });
+      const keyEnv = { DA_AUTH: { get: async (key) => (key.startsWith('apikey-') ? JSON.parse(record) : null) } };
+      const req = { headers: new Headers({ Authorization: 'Bearer dak_123' }) };
+      const users = await getUsers(req, keyEnv);
+      assert.strictEqual(users[0].email, 'apikey:ci');
+      assert.strictEqual(users[0].apiKey.org, 'geometrixx');
+
+      const unknownEnv = { DA_AUTH: { get: async () => null } };
+      const anon = await getUsers(req, unknownEnv);
+      assert.strictEqual(anon[0].email, 'anonymous');
+    });
+
     it('anonymous if ims fails', async () => {
       const users = await getUsers(reqs.media, env);
       assert.strictEqual(users[0].email, 'anonymous');
     });
   });
 
+  describe('verify token', () => {
+    let getVerifiedUsers;
+    let getJwks;
+    let privateKey;
+    let forgerKey;
+    let jwk;
+
+    before(async () => {
+      ({ getUsers: getVerifiedUsers, getJwks } = await esmock('../../src/utils/auth.js', {
+        import: {
+          fetch: async () => ({ ok: true, json: async () => ({ keys: ['from-ims'] }) }),
+        },
+      }));
+
+      const pair = await generateKeyPair('RS256');
+      privateKey = pair.privateKey;
+      ({ privateKey: forgerKey } = await generateKeyPair('RS256'));
+      jwk = { ...await exportJWK(pair.publicKey), kid: 'ims', alg: 'RS256' };
+    });
+
+    const sign = (key, claims = {}) => new SignJWT({
+      user_id: 'aparker', created_at: `${Date.now()}`, expires_in: '86400000', ...claims,
+    }).setProtectedHeader({ alg: 'RS256', kid: 'ims' }).setIssuedAt().sign(key);
+
+    const getEnv = (vars = {}) => ({
+      IMS_JWKS: JSON.stringify({ keys: [jwk] }),
+      DA_AUTH: {
+        get: async (key, opts) => {
+          if (key === 'session-aparker') return '{"email":"aparker@geometrixx.info"}';
+          if (key === 'revoked-org-geometrixx/aparker@geometrixx.info') return orgRevoked;
+          return key === 'revoked-aparker' && opts?.type === 'json' ? revoked : null;
+        },
+      },
+      ...vars,
+    });
+
+    const getReq = (token) => ({ headers: new Headers({ Authorization: `Bearer ${token}` }) });
+
+    let revoked = null;
+    let orgRevoked = null;
+    afterEach(() => {
+      revoked = null;
+      orgRevoked = null;
+    });
+
+    it('accepts tokens signed by a configured key', async () => {
+      const users = await getVerifiedUsers(getReq(await sign(privateKey)), getEnv());
+      assert.strictEqual(users[0].email, 'aparker@geometrixx.info');
+    });
+
+    it('rejects forged tokens matching a cached session', async () => {
+      const users = await getVerifiedUsers(getReq(await sign(forgerKey)), getEnv());
+      assert.strictEqual(users[0].email, 'anonymous');
+    });
+
+    it('rejects tokens of another issuer', async () => {
+      const token = await new SignJWT({ user_id: 'aparker', created_at: `${Date.now()}`, expires_in: '86400000' })
+        .setProtectedHeader({ alg: 'RS256', kid: 'ims' }).setIssuer('https://evil.com').sign(privateKey);
+      const users = await getVerifiedUsers(getReq(token), getEnv({ IMS_ISSUER: 'https://ims.com' }));
+      assert.strictEqual(users[0].email, 'anonymous');
+    });
+
+    it('tolerates clock skew', async () => {
+      const token = await sign(privateKey, { nbf: Math.floor(Date.now() / 1000) + 30 });
+      const users = await getVerifiedUsers(getReq(token), getEnv());
+      assert.strictEqual(users[0].email, 'aparker@geometrixx.info');
+      const strict = await getVerifiedUsers(getReq(token), getEnv({ IMS_CLOCK_TOLERANCE: '0' }));
+      assert.strictEqual(strict[0].email, 'anonymous');
+    });
+
+    it('refuses expired tokens, tolerating clock skew', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const expired = await sign(privateKey, { created_at: `${Date.now() - 2 * day}` });
+      assert.strictEqual((await getVerifiedUsers(getReq(expired), getEnv()))[0].email, 'anonymous');
+
+      const skewed = await sign(privateKey, { created_at: `${Date.now() - day - 30000}` });
+      const users = await getVerifiedUsers(getReq(skewed), getEnv());
+      assert.strictEqual(users[0].email, 'aparker@geometrixx.info');
+      const strict = await getVerifiedUsers(getReq(skewed), getEnv({ IMS_CLOCK_TOLERANCE: '0' }));
+      assert.strictEqual(strict[0].email, 'anonymous');
+    });
+
+    it('refuses tokens created before a revocation', async () => {
+      const token = await sign(privateKey, { created_at: `${Date.now() - 1000}` });
+      revoked = { revokedAt: Date.now() };
+      const users = await getVerifiedUsers(getReq(token), getEnv());
+      assert.strictEqual(users[0].email, 'anonymous');
+
+      const newToken = await sign(privateKey, { created_at: `${Date.now() + 1000}` });
+      const newUsers = await getVerifiedUsers(getReq(newToken), getEnv());
+      assert.strictEqual(newUsers[0].email, 'aparker@geometrixx.info');
+    });
+
+    it('refuses tokens revoked in an org in that org only', async () => {
+      const token = await sign(privateKey, { created_at: `${Date.now() - 1000}` });
+      orgRevoked = { revokedAt: Date.now() };
+      const users = await getVerifiedUsers(getReq(token), getEnv(), 'geometrixx');
+      assert.strictEqual(users[0].email, 'anonymous');
+
+      const others = await getVerifiedUsers(getReq(token), getEnv(), 'wknd');
+      assert.strictEqual(others[0].email, 'aparker@geometrixx.info');
+    });
+
+    it('uses keys cached in KV', async () => {
+      const jwks = await getJwks({ DA_AUTH: { get: async () => ({ keys: ['cached'] }) } });
+      assert.deepStrictEqual(jwks.keys, ['cached']);
+    });
+
+    it('fetches and caches keys from IMS', async () => {
+      const puts = [];
+      const jwks = await getJwks({
+        IMS_ORIGIN: 'https://ims.com',
+        DA_AUTH: { get: async () => null, put: async (key, value, opts) => puts.push({ key, opts }) },
+      });
+      assert.deepStrictEqual(jwks.keys, ['from-ims']);
+      assert.strictEqual(puts[0].key, 'ims-jwks');
+      assert.strictEqual(puts[0].opts.expirationTtl, 86400);
+    });
+  });
+
+  describe('rotated keys', () => {
+    it('fetches the keys again for an unknown key id', async () => {
+      const { privateKey, publicKey } = await generateKeyPair('RS256');
+      const cachedKey = { ...await exportJWK((await generateKeyPair('RS256')).publicKey), kid: 'old', alg: 'RS256' };
+      const rotatedKey = { ...await exportJWK(publicKey), kid: 'new', alg: 'RS256' };
+      let fetched = 0;
+      const { getUsers: getRotatedUsers } = await esmock('../../src/utils/auth.js', {
+        import: {
+          fetch: async () => {
+            fetched += 1;
+            return { ok: true, json: async () => ({ keys: [cachedKey, rotatedKey] }) };
+          },
+        },
+      });
+
+      const token = await new SignJWT({ user_id: 'aparker', created_at: `${Date.now()}`, expires_in: '86400000' })
+        .setProtectedHeader({ alg: 'RS256', kid: 'new' }).sign(privateKey);
+      const req = { headers: new Headers({ Authorization: `Bearer ${token}` }) };
+      const puts = [];
+      const rotatedEnv = {
+        IMS_ORIGIN: 'https://ims.com',
+        DA_AUTH: {
+          get: async (key) => {
+            if (key === 'ims-jwks') return { keys: [cachedKey] };
+            return key === 'session-aparker' ? '{"email":"aparker@geometrixx.info"}' : null;
+          },
+          put: async (key) => puts.push(key),
+        },
+      };
+
+      const users = await getRotatedUsers(req, rotatedEnv);
+      assert.strictEqual(users[0].email, 'aparker@geometrixx.info');
+      assert.strictEqual(fetched, 1);
+      assert.deepStrictEqual(puts, ['ims-jwks']);
+
+      const inline = await getRotatedUsers(req, { ...rotatedEnv, IMS_JWKS: { keys: [cachedKey] } });
+      assert.strictEqual(inline[0].email, 'anonymous');
+      assert.strictEqual(fetched, 1);
+    });
+  });
+
   describe('set user', async () => {
     it('sets user', async () => {
       const headers = new Headers({
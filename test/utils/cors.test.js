@@ -0,0 +1,93 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import { DEFAULT_CORS, getCorsHeaders } from '../../src/utils/cors.js';
+import daResp from '../../src/utils/daResp.js';
+
+const DA_CONFIG = {
+  geometrixx: {
+    data: [
+      { key: 'cors.origins', value: 'https://da.live, https://*--site--geometrixx.hlx.page' },
+      { key: 'cors.methods', value: 'GET, PUT' },
+    ],
+    ':type': 'sheet',
+  },
+  wknd: {
+    data: {
+      data: [
+        { key: 'cors.origins', value: 'https://wknd.com' },
+        { key: 'cors.credentials', value: 'true' },
+      ],
+    },
+    ':type': 'multi-sheet',
+  },
+};
+
+const env = { DA_CONFIG: { get: async (name) => DA_CONFIG[name] } };
+
+function getReq(path, headers = {}) {
+  return new Request(`https://admin.da.live${path}`, { headers });
+}
+
+describe('CORS', () => {
+  it('allows any origin without a policy', async () => {
+    const headers = await getCorsHeaders(getReq('/source/adobe/index.html'), env);
+    assert.deepStrictEqual(headers, DEFAULT_CORS);
+    assert.deepStrictEqual(await getCorsHeaders(getReq('/list'), env), DEFAULT_CORS);
+  });
+
+  it('echoes an allowed origin', async () => {
+    const req = getReq('/api/source/geometrixx/index.html', { origin: 'https://da.live' });
+    const headers = await getCorsHeaders(req, env);
+    assert.strictEqual(headers['Access-Control-Allow-Origin'], 'https://da.live');
+    assert.strictEqual(headers['Access-Control-Allow-Methods'], 'GET, PUT');
+    assert.strictEqual(headers['Access-Control-Allow-Headers'], '*');
+    assert.strictEqual(headers.Vary, 'Origin');
+  });
+
+  it('reads the org of the apikeys api', async () => {
+    const req = getReq('/apikeys/geometrixx', { origin: 'https://da.live' });
+    const headers = await getCorsHeaders(req, env);
+    assert.strictEqual(headers['Access-Control-Allow-Origin'], 'https://da.live');
+  });
+
+  it('matches wildcard origins', async () => {
+    const req = getReq('/source/geometrixx/index.html', { origin: 'https://main--site--geometrixx.hlx.page' });
+    const headers = await getCorsHeaders(req, env);
+    assert.strictEqual(headers['Access-Control-Allow-Origin'], 'https://main--site--geometrixx.hlx.page');
+  });
+
+  it('does not allow other origins', async () => {
+    const req = getReq('/source/geometrixx/index.html', { origin: 'https://evil.com' });
+    const headers = await getCorsHeaders(req, env);
+    assert.deepStrictEqual(headers, { Vary: 'Origin' });
+    assert.deepStrictEqual(await getCorsHeaders(getReq('/source/geometrixx'), env), { Vary: 'Origin' });
+  });
+
+  it('supports credentials', async () => {
+    const req = getReq('/source/wknd/index.html', {
+      origin: 'https://wknd.com',
+      'access-control-request-headers': 'authorization',
+    });
+    const headers = await getCorsHeaders(req, env);
+    assert.strictEqual(headers['Access-Control-Allow-Credentials'], 'true');
+    assert.strictEqual(headers['Access-Control-Allow-Headers'], 'authorization');
+    assert.strictEqual(headers['Access-Control-Allow-Methods'], 'HEAD, GET, PUT, POST, PATCH, DELETE');
+  });
+
+  it('sets the headers on the response', async () => {
+    const resp = daResp({ status: 204 }, { 'Access-Control-Allow-Origin': 'https://da.live' });
+    assert.strictEqual(resp.headers.get('Access-Control-Allow-Origin'), 'https://da.live');
+    assert.strictEqual(daResp({ status: 204 }).headers.get('Access-Control-Allow-Origin'), '*');
+  });
+});
@@ -0,0 +1,57 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import {
+  csvToSheet, parseCsv, sheetToCsv, toCsv,
+} from '../../src/utils/csv.js';
+
+describe('CSV', () => {
+  it('parses quoted cells', () => {
+    const { rows } = parseCsv('\uFEFFkey,value\r\n"a, b","say ""hi"""\r\n"multi\nline",\n');
+    assert.deepStrictEqual(rows, [['key', 'value'], ['a, b', 'say "hi"'], ['multi\nline', '']]);
+    assert.deepStrictEqual(parseCsv('a\rb').rows, [['a'], ['b']]);
+    assert.strictEqual(parseCsv('"open,ended').error.status, 400);
+  });
+
+  it('writes quoted cells', () => {
+    const csv = toCsv([['key', 'value'], ['a, b', 'say "hi"'], ['multi\nline', null], [1, true]]);
+    assert.strictEqual(csv, 'key,value\r\n"a, b","say ""hi"""\r\n"multi\nline",\r\n1,true\r\n');
+    assert.deepStrictEqual(parseCsv(csv).rows, [['key', 'value'], ['a, b', 'say "hi"'], ['multi\nline', ''], ['1', 'true']]);
+  });
+
+  it('converts CSV into a sheet', () => {
+    const { sheet } = csvToSheet('source, destination\n/a,/b\n\n/c\n');
+    assert.deepStrictEqual(sheet, {
+      total: 2,
+      offset: 0,
+      limit: 2,
+      data: [{ source: '/a', destination: '/b' }, { source: '/c', destination: '' }],
+      ':type': 'sheet',
+    });
+  });
+
+  it('refuses CSV without valid columns', () => {
+    const errorOf = (csv) => JSON.parse(csvToSheet(csv).error.body).error;
+    assert.strictEqual(errorOf(''), 'The CSV has no header row.');
+    assert.strictEqual(errorOf('a,,c\n'), 'The CSV has a column without a name.');
+    assert.strictEqual(errorOf('a,a\n'), 'The CSV has the column a twice.');
+    assert.strictEqual(errorOf('a,b\n1,2\n1,2,3\n'), 'Row 2 of the CSV has more cells than columns.');
+    assert.strictEqual(errorOf('"a'), 'The CSV has an unterminated quote.');
+  });
+
+  it('converts a sheet into CSV', () => {
+    const csv = sheetToCsv({ data: [{ key: 'a', value: 'x,y' }, { key: 'b', extra: 1 }] });
+    assert.strictEqual(csv, 'key,value,extra\r\na,"x,y",\r\nb,,1\r\n');
+    assert.strictEqual(sheetToCsv({ data: [] }), '');
+  });
+});
@@ -22,6 +22,57 @@ describe('Dark Alley context', () => {
     it('should remove api from path name', () => {
       assert.strictEqual(daCtx.api, 'source');
     });
+
+    it('should not remove api from apis starting with it', async () => {
+      const apiKeys = await getDaCtx(new Request('https://da.live/apikeys/cq'), env);
+      assert.strictEqual(apiKeys.api, 'apikeys');
+      assert.strictEqual(apiKeys.org, 'cq');
+    });
+  });
+
+  describe('Authorization', async () => {
+    it('should not authorize when the users are not', async () => {
+      const daCtx = await getDaCtx(reqs.org, env);
+      assert.strictEqual(daCtx.authorized, false);
+      assert.strictEqual(daCtx.forbidden, false);
+    });
+
+    it('should require admin to read the config', async () => {
+      for (const method of ['GET', 'HEAD', 'POST']) {
+        const daCtx = await getDaCtx(new Request('https://da.live/config/cq', { method }), env);
+        assert.strictEqual(daCtx.operation, 'admin');
+      }
+    });
+
+    it('should always authorize whoami', async () => {
+      const daCtx = await getDaCtx(new Request('https://da.live/whoami/cq/geometrixx'), env);
+      assert.strictEqual(daCtx.authorized, true);
+      assert.strictEqual(daCtx.key, 'geometrixx');
+    });
+  });
+
+  describe('Org scoped APIs', async () => {
+    const getPaths = async (method, url) => {
+      const paths = [];
+      const getCtx = await esmock('../../src/utils/daCtx.js', {
+        '../../src/utils/auth.js': {
+          ...auth,
+          isAuthorized: (e, org, user, path) => { paths.push(path); return true; },
+        },
+      });
+      await getCtx(new Request(url, { method }), env);
+      return paths;
+    };
+
+    it('should authorize admin APIs against the org only', async () => {
+      assert.deepStrictEqual(await getPaths('POST', 'https://da.live/apikeys/cq/geometrixx'), [undefined]);
+      assert.deepStrictEqual(await getPaths('GET', 'https://da.live/trash/cq/geometrixx'), [undefined]);
+      assert.deepStrictEqual(await getPaths('GET', 'https://da.live/shares/cq/geometrixx'), [undefined]);
+    });
+
+    it('should authorize sharing against the key', async () => {
+      assert.deepStrictEqual(await getPaths('POST', 'https://da.live/shares/cq/geometrixx/a.html'), ['/geometrixx/a.html']);
+    });
   });
 
   describe('Org context', async () => {
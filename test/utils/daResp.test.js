@@ -0,0 +1,45 @@
+/* eslint-env mocha */
+import assert from 'assert';
+
+import daResp from '../../src/utils/daResp.js';
+
+describe('DA response', () => {
+  it('sets the content headers', () => {
+    const resp = daResp({ status: 200, body: 'hi', contentType: 'text/plain', contentLength: 2 });
+    assert.strictEqual(resp.headers.get('Content-Type'), 'text/plain');
+    assert.strictEqual(resp.headers.get('Content-Length'), '2');
+  });
+
+  it('passes the ETag', () => {
+    const resp = daResp({ status: 200, body: '', etag: '"abc"' });
+    assert.strictEqual(resp.headers.get('ETag'), '"abc"');
+    assert.strictEqual(resp.headers.get('Access-Control-Expose-Headers'), 'ETag, Retry-After, Content-Range, Accept-Ranges, X-DA-Lock-Owner, X-DA-Lock-Expires');
+  });
+
+  it('passes the caching headers', () => {
+    const resp = daResp({
+      status: 304, lastModified: 'Wed, 01 May 2024 10:00:00 GMT', cacheControl: 'private, no-cache',
+    });
+    assert.strictEqual(resp.headers.get('Last-Modified'), 'Wed, 01 May 2024 10:00:00 GMT');
+    assert.strictEqual(resp.headers.get('Cache-Control'), 'private, no-cache');
+  });
+
+  it('returns custom metadata as headers', () => {
+    const resp = daResp({ status: 200, meta: { checksum: 'abc', 'import-batch': '42' } });
+    assert.strictEqual(resp.headers.get('x-da-meta-checksum'), 'abc');
+    assert.strictEqual(resp.headers.get('x-da-meta-import-batch'), '42');
+    assert(resp.headers.get('Access-Control-Expose-Headers').endsWith('x-da-meta-checksum, x-da-meta-import-batch'));
+  });
+
+  it('returns the lock of a document as headers', () => {
+    const resp = daResp({ status: 200, lock: { owner: 'author@adobe.com', expires: '2024-03-21T10:00:00.000Z' } });
+    assert.strictEqual(resp.headers.get('X-DA-Lock-Owner'), 'author@adobe.com');
+    assert.strictEqual(resp.headers.get('X-DA-Lock-Expires'), '2024-03-21T10:00:00.000Z');
+  });
+
+  it('leaves out missing headers', () => {
+    const resp = daResp({ status: 204 });
+    assert.strictEqual(resp.headers.get('ETag'), null);
+    assert.strictEqual(resp.headers.get('Retry-After'), null);
+  });
+});
@@ -0,0 +1,52 @@
+/* eslint-env mocha */
+import assert from 'assert';
+
+import {
+  checkMeta, fromS3Meta, getMetaEntries, toS3Meta,
+} from '../../src/utils/meta.js';
+
+const getEnv = (fields) => ({
+  DA_CONFIG: {
+    get: async () => (fields ? { data: [{ key: 'metadata.fields', value: fields }] } : null),
+  },
+});
+
+const getError = (resp) => JSON.parse(resp.error.body).error;
+
+describe('Custom metadata', () => {
+  it('collects the prefixed headers and form fields', () => {
+    const headers = new Headers({ 'X-DA-Meta-Source-URL': 'https://example.com', 'x-other': '1' });
+    assert.deepStrictEqual(getMetaEntries(headers), { 'source-url': 'https://example.com' });
+
+    const formData = new FormData();
+    formData.append('x-da-meta-checksum', 'abc');
+    formData.append('x-da-meta-file', new Blob(['x']));
+    assert.deepStrictEqual(getMetaEntries(formData), { checksum: 'abc' });
+    assert.deepStrictEqual(getMetaEntries(undefined), {});
+  });
+
+  it('accepts the default fields', async () => {
+    assert.strictEqual(await checkMeta(getEnv(), 'adobe', { 'import-batch': '42' }), undefined);
+    assert.strictEqual(await checkMeta(getEnv(), 'adobe', {}), undefined);
+  });
+
+  it('uses the fields of the org config', async () => {
+    const env = getEnv('owner, batch');
+    assert.strictEqual(await checkMeta(env, 'adobe', { batch: '42' }), undefined);
+    assert.strictEqual(getError(await checkMeta(env, 'adobe', { checksum: 'abc' })), 'Metadata checksum is not allowed.');
+  });
+
+  it('validates the values', async () => {
+    const nonAscii = await checkMeta(getEnv(), 'adobe', { checksum: 'café' });
+    assert.strictEqual(getError(nonAscii), 'Metadata checksum must be printable ASCII.');
+    const large = await checkMeta(getEnv(), 'adobe', { checksum: 'x'.repeat(1100) });
+    assert.strictEqual(large.error.status, 400);
+  });
+
+  it('converts to and from S3 metadata', () => {
+    const s3 = toS3Meta({ checksum: 'abc' });
+    assert.deepStrictEqual(s3, { 'da-meta-checksum': 'abc' });
+    assert.deepStrictEqual(fromS3Meta({ ...s3, id: 'x', users: '[]' }), { checksum: 'abc' });
+    assert.deepStrictEqual(fromS3Meta(undefined), {});
+  });
+});
@@ -0,0 +1,77 @@
+/* eslint-env mocha */
+import assert from 'assert';
+
+import { checkContentType, getAllowedTypes, sniffType } from '../../src/utils/mime.js';
+
+const PNG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d];
+const MP4 = [0, 0, 0, 0x20, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6f, 0x6d];
+
+const getEnv = (types) => ({
+  DA_CONFIG: {
+    get: async () => (types ? { data: [{ key: 'content.types', value: types }] } : null),
+  },
+});
+
+const check = (ext, parts, type, env = getEnv()) => checkContentType(
+  env,
+  { org: 'adobe', ext },
+  new File(parts, `file.${ext}`, { type }),
+);
+
+const getError = async (resp) => JSON.parse((await resp).error.body).error;
+
+describe('Content types', () => {
+  describe('Sniffing', () => {
+    it('finds binary signatures', () => {
+      assert.strictEqual(sniffType(new Uint8Array(PNG)), 'image/png');
+      assert.strictEqual(sniffType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+      assert.strictEqual(sniffType(new TextEncoder().encode('GIF89a')), 'image/gif');
+      assert.strictEqual(sniffType(new Uint8Array(MP4)), 'video/mp4');
+    });
+
+    it('finds SVGs', () => {
+      const svg = '<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+      assert.strictEqual(sniffType(new TextEncoder().encode(svg)), 'image/svg+xml');
+      assert.strictEqual(sniffType(new TextEncoder().encode('<body><svg></svg></body>')), undefined);
+    });
+  });
+
+  describe('Checks', () => {
+    it('accepts matching uploads', async () => {
+      assert.deepStrictEqual(await check('png', [new Uint8Array(PNG)], 'image/png'), { type: 'image/png' });
+      assert.deepStrictEqual(await check('html', ['<body></body>'], 'text/html'), { type: 'text/html' });
+      assert.deepStrictEqual(await check('mp4', [new Uint8Array(MP4)], 'video/mp4'), { type: 'video/mp4' });
+    });
+
+    it('takes the type of the extension when none is declared', async () => {
+      assert.deepStrictEqual(await check('json', ['{}'], ''), { type: 'application/json' });
+      assert.strictEqual(await getError(check(undefined, ['x'], '')), 'No content type provided.');
+    });
+
+    it('refuses types that are not allowed', async () => {
+      const error = await getError(check('exe', ['MZ'], 'application/x-msdownload'));
+      assert.strictEqual(error, 'Content type application/x-msdownload is not allowed.');
+    });
+
+    it('refuses a mismatched extension', async () => {
+      const error = await getError(check('png', ['<html></html>'], 'text/html'));
+      assert.strictEqual(error, 'Extension .png does not match content type text/html.');
+    });
+
+    it('refuses content that does not match', async () => {
+      const fake = await getError(check('png', ['<html></html>'], 'image/png'));
+      assert.strictEqual(fake, 'Content does not match content type image/png.');
+      const image = await getError(check('html', [new Uint8Array(PNG)], 'text/html'));
+      assert.strictEqual(image, 'Content does not match content type text/html.');
+      const svg = await getError(check('svg', ['<html></html>'], 'image/svg+xml'));
+      assert.strictEqual(svg, 'Content does not match content type image/svg+xml.');
+    });
+
+    it('uses the types of the org config', async () => {
+      const env = getEnv('text/html, application/pdf');
+      assert.deepStrictEqual(await getAllowedTypes(env, 'adobe'), ['text/html', 'application/pdf']);
+      assert.deepStrictEqual(await check('pdf', ['%PDF-'], 'application/pdf', env), { type: 'application/pdf' });
+      assert((await check('png', [new Uint8Array(PNG)], 'image/png', env)).error);
+    });
+  });
+});
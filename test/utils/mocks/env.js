@@ -1,6 +1,7 @@
 const NAMESPACES = {
   'geometrixx-da-props': { "admin.role.all":["aparker@geometrixx.info"] },
   'beagle-da-props': { },
+  'ims-jwks': { keys: [] },
   'orgs': [
     { name: 'geometrixx' },
     { name: 'beagle' },
@@ -9,15 +9,22 @@
  * OF ANY KIND, either express or implied. See the License for the specific language
  * governing permissions and limitations under the License.
  */
+// Tokens are email:created:expires, offsets in seconds. IMS gives both in milliseconds
 const decodeJwt = (token) => {
-  let [email, created_at = 0, expires_in = 0] = token.split(':');
-  created_at += Math.floor(new Date().getTime() / 1000);
-  expires_in += created_at;
+  const [email, created = 0, expires = 1000] = token.split(':');
+  const createdAt = Date.now() + Number(created) * 1000;
   return {
     user_id: email,
-    created_at,
-    expires_in: expires_in || created_at + 1000,
+    created_at: `${createdAt}`,
+    expires_in: `${Number(expires) * 1000}`,
   };
 };
 
-export default { decodeJwt };
+const createLocalJWKSet = (jwks) => jwks;
+
+const jwtVerify = async (token, jwks) => {
+  if (!jwks.keys) throw new Error('signature verification failed');
+  return { payload: decodeJwt(token) };
+};
+
+export default { decodeJwt, createLocalJWKSet, jwtVerify };
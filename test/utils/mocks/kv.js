@@ -0,0 +1,40 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * A KV namespace backed by a Map, keeping the options each value was put with.
+ * @param {Object} options
+ * @param {Number} options.pageSize the keys listed per call, small sizes exercise the cursor
+ * @returns {Object} the namespace, with its store
+ */
+export default function getKv({ pageSize = 1000 } = {}) {
+  const store = new Map();
+  return {
+    store,
+    get: async (key, opts) => {
+      const value = store.get(key)?.value ?? null;
+      return value && opts?.type === 'json' ? JSON.parse(value) : value;
+    },
+    put: async (key, value, opts = {}) => { store.set(key, { value, opts }); },
+    delete: async (key) => { store.delete(key); },
+    list: async ({ prefix = '', cursor = 0 } = {}) => {
+      const names = [...store.keys()].filter((name) => name.startsWith(prefix));
+      const index = Number(cursor);
+      const keys = names.slice(index, index + pageSize).map((name) => {
+        const { expiration, metadata } = store.get(name).opts;
+        return { name, expiration, metadata };
+      });
+      const complete = index + pageSize >= names.length;
+      return { keys, list_complete: complete, cursor: complete ? undefined : `${index + pageSize}` };
+    },
+  };
+}
@@ -27,7 +27,7 @@ const optsWithAuth = {
 
 const optsWithExpAuth = {
   headers: new Headers({
-    Authorization: 'Bearer aparker@geometrixx.info:100:-150',
+    Authorization: 'Bearer aparker@geometrixx.info:100:-250',
   }),
 };
 
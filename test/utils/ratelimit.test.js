@@ -0,0 +1,123 @@
+import assert from 'assert';
+import { checkRateLimit, getBudget, getRateLimitStore } from '../../src/utils/ratelimit.js';
+import createKvStore from '../../src/storage/ratelimit/kv.js';
+import createMemoryStore from '../../src/storage/ratelimit/memory.js';
+import getKv from './mocks/kv.js';
+
+const getEnv = (config, vars = {}) => ({
+  DA_CONFIG: { get: async () => config },
+  ...vars,
+});
+
+const aparker = { email: 'aparker@geometrixx.info' };
+
+describe('Rate limiting', () => {
+  describe('Budgets', () => {
+    it('counts reads', () => {
+      assert.strictEqual(getBudget({ method: 'HEAD' }, { api: 'source' }), 'read');
+    });
+
+    it('counts copies, moves and folder deletes as bulk', () => {
+      assert.strictEqual(getBudget({ method: 'POST' }, { api: 'copy' }), 'bulk');
+      assert.strictEqual(getBudget({ method: 'POST' }, { api: 'move' }), 'bulk');
+      assert.strictEqual(getBudget({ method: 'DELETE' }, { api: 'source' }), 'bulk');
+      assert.strictEqual(getBudget({ method: 'PATCH' }, { api: 'folder' }), 'bulk');
+    });
+
+    it('counts other mutations as writes', () => {
+      assert.strictEqual(getBudget({ method: 'DELETE' }, { api: 'source', ext: 'html' }), 'write');
+      assert.strictEqual(getBudget({ method: 'PUT' }, { api: 'source', ext: 'html' }), 'write');
+    });
+  });
+
+  describe('Limits', () => {
+    const req = { method: 'PUT' };
+    const daCtx = { org: 'adobe', api: 'source', ext: 'html', users: [aparker] };
+
+    it('does nothing without configured limits', async () => {
+      const store = { increment: async () => assert.fail('should not count') };
+      assert.strictEqual(await checkRateLimit(req, getEnv(null), daCtx, store), undefined);
+    });
+
+    it('fails open when the store fails', async () => {
+      const env = getEnv(null, { RATE_LIMIT_WRITE: '1' });
+      const store = { increment: async () => { throw new Error('KV GET failed'); } };
+      assert.strictEqual(await checkRateLimit(req, env, daCtx, store), undefined);
+    });
+
+    it('limits users with the env defaults', async () => {
+      const env = getEnv(null, { RATE_LIMIT_WRITE: '2' });
+      const store = createMemoryStore();
+      assert.strictEqual(await checkRateLimit(req, env, daCtx, store), undefined);
+      assert.strictEqual(await checkRateLimit(req, env, daCtx, store), undefined);
+      const resp = await checkRateLimit(req, env, daCtx, store);
+      assert.strictEqual(resp.status, 429);
+      assert(resp.retryAfter > 0 && resp.retryAfter <= 60);
+      assert.strictEqual(JSON.parse(resp.body).error, 'Too many write requests.');
+    });
+
+    it('keeps separate budgets', async () => {
+      const env = getEnv(null, { RATE_LIMIT_WRITE: '1', RATE_LIMIT_READ: '1' });
+      const store = createMemoryStore();
+      assert.strictEqual(await checkRateLimit(req, env, daCtx, store), undefined);
+      assert.strictEqual(await checkRateLimit({ method: 'GET' }, env, daCtx, store), undefined);
+    });
+
+    it('prefers the org config over the env', async () => {
+      const config = { data: [{ key: 'ratelimit.write', value: '1' }] };
+      const env = getEnv(config, { RATE_LIMIT_WRITE: '10' });
+      const store = createMemoryStore();
+      await checkRateLimit(req, env, daCtx, store);
+      assert.strictEqual((await checkRateLimit(req, env, daCtx, store)).status, 429);
+    });
+
+    it('limits the whole org', async () => {
+      const config = { data: [{ key: 'ratelimit.org.write', value: '1' }] };
+      const store = createMemoryStore();
+      await checkRateLimit(req, getEnv(config), daCtx, store);
+      const other = { ...daCtx, users: [{ email: 'bob@geometrixx.info' }] };
+      assert.strictEqual((await checkRateLimit(req, getEnv(config), other, store)).status, 429);
+    });
+
+    it('counts api keys and anonymous users separately', async () => {
+      const env = getEnv(null, { RATE_LIMIT_WRITE: '1' });
+      const store = createMemoryStore();
+      const key = { ...daCtx, users: [{ email: 'apikey:ci', apiKey: { id: 'abc' } }] };
+      const anon = { ...daCtx, users: [{ email: 'anonymous' }] };
+      const anonReq = { method: 'PUT', headers: new Headers({ 'cf-connecting-ip': '10.0.0.1' }) };
+      assert.strictEqual(await checkRateLimit(req, env, key, store), undefined);
+      assert.strictEqual(await checkRateLimit(anonReq, env, anon, store), undefined);
+      assert.strictEqual((await checkRateLimit(anonReq, env, anon, store)).status, 429);
+    });
+  });
+
+  describe('Stores', () => {
+    it('counts in KV', async () => {
+      const kv = getKv();
+      const store = createKvStore(kv);
+      assert.strictEqual(await store.increment('write-x', 30), 1);
+      assert.strictEqual(await store.increment('write-x', 30), 2);
+      assert.deepStrictEqual(kv.store.get('ratelimit-write-x'), { value: '2', opts: { expirationTtl: 60 } });
+    });
+
+    it('keeps counting when KV rejects a write', async () => {
+      const kv = {
+        get: async () => '5',
+        put: async () => { throw new Error('KV PUT failed: 429 Too Many Requests'); },
+      };
+      assert.strictEqual(await createKvStore(kv).increment('write-x', 30), 6);
+    });
+
+    it('expires memory counters', async () => {
+      const store = createMemoryStore();
+      assert.strictEqual(await store.increment('read-x', 0), 1);
+      assert.strictEqual(await store.increment('read-x', 0), 1);
+    });
+
+    it('picks the store from the env', () => {
+      const memory = getRateLimitStore({ RATE_LIMIT_STORE: 'memory' });
+      assert.strictEqual(getRateLimitStore({ RATE_LIMIT_STORE: 'memory' }), memory);
+      assert(getRateLimitStore({ DA_AUTH: {} }).increment);
+    });
+  });
+});
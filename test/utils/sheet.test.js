@@ -0,0 +1,194 @@
+/*
+ * Copyright 2024 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+import assert from 'assert';
+
+import {
+  checkSheet, querySheetDocument, setSheet, validateSheetDocument,
+} from '../../src/utils/sheet.js';
+
+const SHEET = {
+  total: 2,
+  offset: 0,
+  limit: 2,
+  data: [{ key: 'a', value: '1' }, { key: 'b', value: 2 }],
+  ':type': 'sheet',
+};
+
+const MULTI = {
+  redirects: SHEET,
+  placeholders: { ...SHEET, ':colWidths': [100, 200] },
+  ':names': ['redirects', 'placeholders'],
+  ':version': 3,
+  ':type': 'multi-sheet',
+};
+
+describe('Sheet validation', () => {
+  it('accepts single and multi-sheets', () => {
+    assert.deepStrictEqual(validateSheetDocument(SHEET), []);
+    assert.deepStrictEqual(validateSheetDocument({ data: [] }), []);
+    assert.deepStrictEqual(validateSheetDocument(MULTI), []);
+    assert.strictEqual(checkSheet(JSON.stringify(MULTI)), undefined);
+  });
+
+  it('points at the offending row', () => {
+    const errors = validateSheetDocument({
+      ...SHEET, total: 3, data: [...SHEET.data, { key: 'c' }, { key: { nested: true }, value: '' }, 'row'],
+    });
+    assert.deepStrictEqual(errors, [
+      { sheet: undefined, error: 'The total must be the number of rows (5).' },
+      { sheet: undefined, row: 2, error: 'The columns of the row differ from the first row.' },
+      {
+        sheet: undefined, row: 3, column: 'key', error: 'A value must be a string, number, boolean or null.',
+      },
+      { sheet: undefined, row: 4, error: 'A row must be an object.' },
+    ]);
+  });
+
+  it('checks the sheet fields', () => {
+    const errors = validateSheetDocument({ ...SHEET, offset: -1, limit: '2' });
+    assert.deepStrictEqual(errors.map(({ error }) => error), [
+      'The offset must be a whole number of at least 0.',
+      'The limit must be a whole number of at least 0.',
+    ]);
+    assert.deepStrictEqual(validateSheetDocument({ total: 0 }), [{ sheet: undefined, error: 'A sheet must have a data array.' }]);
+    assert.deepStrictEqual(validateSheetDocument([]), [{ error: 'A sheet document must be an object.' }]);
+    assert.deepStrictEqual(validateSheetDocument({ ':type': 'table' }), [{ error: 'Unknown :type table.' }]);
+  });
+
+  it('points at the offending sheet of a multi-sheet', () => {
+    const errors = validateSheetDocument({
+      ...MULTI,
+      ':names': ['redirects', 'redirects', 'missing', ''],
+      ':version': 0,
+      placeholders: { ...SHEET, data: [{ key: 'a' }, { value: 'b' }] },
+    });
+    assert.deepStrictEqual(errors, [
+      { error: 'The :version must be a whole number of at least 1.' },
+      { sheet: 'redirects', error: 'The sheet is named twice.' },
+      { sheet: 'missing', error: 'A sheet must be an object.' },
+      { error: 'The :names entry 3 must be a sheet name.' },
+      { sheet: 'placeholders', error: 'The sheet is missing from :names.' },
+    ]);
+    assert.deepStrictEqual(validateSheetDocument({ ':type': 'multi-sheet' }), [{ error: 'A multi-sheet must have a :names array.' }]);
+  });
+
+  it('returns a 422 with the errors', () => {
+    const { error } = checkSheet('{"data": {}}');
+    assert.strictEqual(error.status, 422);
+    assert.deepStrictEqual(JSON.parse(error.body), {
+      error: 'Invalid sheet.', errors: [{ error: 'A sheet must have a data array.' }],
+    });
+    assert.strictEqual(JSON.parse(checkSheet('[').error.body).errors[0].error, 'The document is not valid JSON.');
+  });
+
+  describe('query', () => {
+    const ROWS = {
+      total: 4,
+      offset: 0,
+      limit: 4,
+      data: [
+        { title: 'News one', type: 'page', views: 10 },
+        { title: 'About', type: 'page', views: 5 },
+        { title: 'Old news', type: 'redirect', views: '' },
+        { title: 'Latest News', type: 'page', views: 1 },
+      ],
+      ':colWidths': [100, 50, 50],
+      ':type': 'sheet',
+    };
+    const query = (values) => ({
+      sheets: [], columns: undefined, filters: [], ...values,
+    });
+
+    it('pages and projects a sheet', () => {
+      const { json } = querySheetDocument(ROWS, query({ offset: 1, limit: 2, columns: ['title', 'missing'] }));
+      assert.deepStrictEqual(json, {
+        total: 4, offset: 1, limit: 2, data: [{ title: 'About' }, { title: 'Old news' }], ':colWidths': [100, 50, 50], ':type': 'sheet',
+      });
+      assert.strictEqual(querySheetDocument(ROWS, query({ offset: 3 })).json.limit, 1);
+    });
+
+    it('filters the rows', () => {
+      const filters = [{ column: 'type', value: 'page' }, { column: 'title', value: 'news', contains: true }];
+      const { json } = querySheetDocument(ROWS, query({ filters }));
+      assert.strictEqual(json.total, 2);
+      assert.deepStrictEqual(json.data.map(({ title }) => title), ['News one', 'Latest News']);
+      const numbers = querySheetDocument(ROWS, query({ filters: [{ column: 'views', value: '10' }] }));
+      assert.strictEqual(numbers.json.total, 1);
+      const empty = querySheetDocument(ROWS, query({ filters: [{ column: 'views', value: '' }] }));
+      assert.strictEqual(empty.json.data[0].title, 'Old news');
+    });
+
+    it('selects the sheets of a multi-sheet', () => {
+      const multi = { ...MULTI, placeholders: ROWS };
+      const one = querySheetDocument(multi, query({ sheets: ['placeholders'], limit: 1 })).json;
+      assert.deepStrictEqual(one, { ...ROWS, limit: 1, data: [ROWS.data[0]], ':type': 'sheet' });
+
+      const all = querySheetDocument(multi, query({ limit: 1 })).json;
+      assert.deepStrictEqual(all[':names'], ['redirects', 'placeholders']);
+      assert.strictEqual(all[':type'], 'multi-sheet');
+      assert.strictEqual(all.redirects.data.length, 1);
+      assert.strictEqual(all.redirects.total, 2);
+
+      const both = querySheetDocument(multi, query({ sheets: ['placeholders', 'redirects'] })).json;
+      assert.deepStrictEqual(both[':names'], ['placeholders', 'redirects']);
+    });
+
+    it('selects the data sheet of a single sheet', () => {
+      const { json } = querySheetDocument(ROWS, query({ sheets: ['data'], limit: 1 }));
+      assert.deepStrictEqual(json.data, [ROWS.data[0]]);
+      assert.strictEqual(json[':type'], 'sheet');
+    });
+
+    it('does not find unknown sheets', () => {
+      const { error } = querySheetDocument(MULTI, query({ sheets: ['missing'] }));
+      assert.strictEqual(error.status, 404);
+      assert.strictEqual(JSON.parse(error.body).error, 'No sheet named missing.');
+      assert.strictEqual(querySheetDocument(SHEET, query({ sheets: ['redirects'] })).error.status, 404);
+      const { error: other } = querySheetDocument(SHEET, query({ sheets: ['data', 'redirects'] }));
+      assert.strictEqual(JSON.parse(other.body).error, 'No sheet named redirects.');
+    });
+  });
+
+  describe('set a sheet', () => {
+    const NEW = {
+      ...SHEET, total: 1, limit: 1, data: [{ key: 'c', value: '3' }],
+    };
+    const { ':type': type, ...content } = NEW;
+
+    it('keeps single sheets single', () => {
+      assert.deepStrictEqual(setSheet(undefined, 'data', NEW), NEW);
+      assert.deepStrictEqual(setSheet(SHEET, 'data', NEW), NEW);
+    });
+
+    it('adds and replaces sheets of a multi-sheet', () => {
+      const added = setSheet(MULTI, 'extra', NEW);
+      assert.deepStrictEqual(added[':names'], ['redirects', 'placeholders', 'extra']);
+      assert.deepStrictEqual(added.extra, content);
+      assert.strictEqual(added[':version'], 3);
+      assert.deepStrictEqual(validateSheetDocument(added), []);
+
+      const replaced = setSheet(MULTI, 'redirects', NEW);
+      assert.deepStrictEqual(replaced[':names'], MULTI[':names']);
+      assert.deepStrictEqual(replaced.redirects, content);
+    });
+
+    it('turns other documents into multi-sheets', () => {
+      const { ':type': sheetType, ...data } = SHEET;
+      assert.deepStrictEqual(setSheet(SHEET, 'extra', NEW), {
+        data, extra: content, ':names': ['data', 'extra'], ':type': 'multi-sheet',
+      });
+      assert.deepStrictEqual(setSheet(undefined, 'extra', NEW), {
+        extra: content, ':names': ['extra'], ':type': 'multi-sheet',
+      });
+    });
+  });
+});